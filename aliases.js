@@ -0,0 +1,144 @@
+/**
+ * OpenIn - 仓库别名模块
+ *
+ * 用户为常用仓库（或仓库内的深层路径）起的短名称，如 fe → acme/frontend-monorepo。
+ * 别名保存在 storage.sync，omnibox 在常规解析之前先解析别名。
+ * 依赖 platforms.js 以及全局 browserAPI。
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 别名的存储 key（storage.sync）
+ */
+const ALIASES_STORAGE_KEY = 'repoAliases';
+
+/**
+ * 别名名称：字母、数字、-、_、.，不含 / 以免与 owner/repo 混淆
+ */
+const ALIAS_NAME_PATTERN = /^[a-z0-9][\w.-]{0,39}$/;
+
+// ==================== 解析函数 ====================
+
+/**
+ * 解析别名指向的目标
+ * 支持完整链接（https://gitlab.com/acme/fe/-/tree/main/docs），
+ * 或 owner/repo[/path]，可在开头或末尾附加平台关键词（如 "acme/fe gl"）
+ *
+ * @param {string} target - 用户输入的目标
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function parseAliasTarget(target) {
+  if (!target || typeof target !== 'string') return null;
+
+  const trimmed = target.trim();
+  if (/^https?:\/\//i.test(trimmed)) {
+    return parsePlatformUrl(trimmed);
+  }
+
+  const tokens = trimmed.split(/\s+/);
+  if (tokens.length > 2) return null;
+
+  let platform = null;
+  let name = tokens[0];
+  if (tokens.length === 2) {
+    platform = findPlatformByKeyword(tokens[0]);
+    name = tokens[1];
+    if (!platform) {
+      platform = findPlatformByKeyword(tokens[1]);
+      name = tokens[0];
+    }
+    if (!platform) return null;
+  }
+
+  // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
+  const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+  platform = platform || defaultPlatform;
+
+  if (PLATFORMS[platform].singleName) {
+    return { platform, owner: name, repo: '', path: '' };
+  }
+
+  const match = name.match(REPO_WITH_PATH_PATTERN);
+  if (!match) return null;
+
+  const [, owner, repo, path = ''] = match;
+  return { platform, owner, repo, path };
+}
+
+/**
+ * 校验并规范化别名定义
+ * @param {Object} def - {name, target}
+ * @returns {Object|null} {name, platform, owner, repo, path} 或 null
+ */
+function normalizeAlias(def) {
+  if (!def || typeof def !== 'object') return null;
+
+  const name = String(def.name || '').trim().toLowerCase();
+  if (!ALIAS_NAME_PATTERN.test(name)) return null;
+
+  const target = parseAliasTarget(def.target);
+  if (!target) return null;
+
+  return { name, ...target };
+}
+
+/**
+ * 别名目标的显示文本：owner/repo/path 或包名
+ * @param {Object} alias
+ * @returns {string}
+ */
+function getAliasTargetText(alias) {
+  return `${alias.owner}${alias.repo ? '/' + alias.repo : ''}${alias.path}`;
+}
+
+/**
+ * 解析以别名开头的输入
+ * 支持单独的别名（fe），以及别名 + 子命令（fe #123、fe releases）
+ *
+ * @param {Object[]} aliases - 别名列表
+ * @param {string} input - 用户输入
+ * @returns {Object|null} {alias, platform, owner, repo, path} 或 null
+ */
+function resolveAlias(aliases, input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const [first, ...rest] = input.trim().split(/\s+/);
+  const alias = aliases.find(item => item.name === first.toLowerCase());
+  if (!alias || !PLATFORMS[alias.platform]) return null;
+
+  const { platform, owner, repo } = alias;
+  if (rest.length === 0) {
+    return { alias, platform, owner, repo, path: alias.path };
+  }
+
+  // 子命令基于仓库根路径，忽略别名自带的深层路径
+  const sub = parseSubCommand(rest);
+  const path = sub ? buildSubCommandPath(platform, sub.command, sub.arg) : null;
+  if (path === null) return null;
+
+  return { alias, platform, owner, repo, path };
+}
+
+/**
+ * 按名称前缀查找别名（用于 omnibox 建议）
+ * @param {Object[]} aliases - 别名列表
+ * @param {string} query - 用户输入的第一个词
+ * @returns {Object[]}
+ */
+function matchAliases(aliases, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return [];
+  return aliases.filter(alias => alias.name.startsWith(q) && PLATFORMS[alias.platform]);
+}
+
+// ==================== 存储读写 ====================
+
+/**
+ * 读取全部别名
+ * @returns {Promise<Object[]>}
+ */
+async function getAliases() {
+  const result = await browserAPI.storage.sync.get({ [ALIASES_STORAGE_KEY]: [] });
+  return result[ALIASES_STORAGE_KEY];
+}
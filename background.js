@@ -4,29 +4,13 @@ const browserAPI = globalThis.browser || globalThis.chrome;
 
 // ==================== 导入平台配置 ====================
 // Service Worker 使用 importScripts 导入外部脚本
-importScripts('platforms.js');
+importScripts('platforms.js', 'registry.js', 'history.js', 'completion.js', 'aliases.js', 'search-engines.js', 'bypass-rules.js', 'shortcuts.js');
 
 // 默认平台（可在设置页面配置），初始为 GitHub
 let DEFAULT_PLATFORM = 'github';
 
-// 默认的常见地址列表（不会被重定向）
-const DEFAULT_BYPASS_PATTERNS = [
-  'localhost'
-];
-
 // ==================== 配置管理函数 ====================
 
-/**
- * 获取用户配置的白名单模式
- * @returns {Promise<string[]>} 白名单数组
- */
-async function getBypassPatterns() {
-  const result = await browserAPI.storage.sync.get({
-    customBypassPatterns: []
-  });
-  return [...DEFAULT_BYPASS_PATTERNS, ...result.customBypassPatterns];
-}
-
 /**
  * 获取功能开关配置
  * @returns {Promise<Object>} 功能开关对象
@@ -36,11 +20,35 @@ async function getFeatureToggles() {
     featureOmnibox: true,
     featureSearchRedirect: true,
     featureDnsIntercept: true,
-    searchRedirectMode: 'autoJump'
+    featureMultiOpenGroup: true,
+    featureSearchChooser: true,
+    searchRedirectMode: 'autoJump',
+    redirectBlockedPlatforms: [], // 不自动跳转到的平台
+    redirectBlockedEngines: [], // 不触发跳转的搜索引擎（generic 表示未列出的搜索页）
+    dnsInterceptScope: 'shorthand' // shorthand：仅 owner/repo 简写；defaultPlatform：单个名称也打开默认平台
   });
   return result;
 }
 
+/**
+ * 按功能矩阵检查是否允许自动跳转
+ * @param {Object} features - getFeatureToggles 的返回值
+ * @param {string} platform - 目标平台
+ * @param {string|null} engine - 触发跳转的搜索引擎 id（非搜索来源为 null）
+ * @returns {boolean}
+ */
+function isRedirectAllowed(features, platform, engine = null) {
+  if (features.redirectBlockedPlatforms.includes(platform)) {
+    log('功能矩阵：不跳转到平台', platform);
+    return false;
+  }
+  if (engine && features.redirectBlockedEngines.includes(engine)) {
+    log('功能矩阵：搜索引擎不触发跳转', engine);
+    return false;
+  }
+  return true;
+}
+
 /**
  * 从存储加载默认平台配置
  */
@@ -55,13 +63,73 @@ function loadDefaultPlatform() {
   });
 }
 
+/**
+ * 从存储加载用户自定义平台与自建实例并合并到 PLATFORMS
+ * @returns {Promise<void>}
+ */
+async function loadUserPlatforms() {
+  const result = await browserAPI.storage.sync.get({
+    customPlatforms: [],
+    selfHostedInstances: []
+  });
+
+  const applied = [
+    ...applyCustomPlatforms(result.customPlatforms),
+    ...applySelfHostedInstances(result.selfHostedInstances)
+  ];
+  if (applied.length > 0) {
+    log('加载自定义平台:', applied.join(', '));
+  }
+}
+
+// Service Worker 每次启动都重新合并自定义平台，事件处理前需等待其完成
+const userPlatformsReady = loadUserPlatforms().catch((e) => {
+  log('加载自定义平台失败:', e);
+});
+
+// 包注册表 → 源码仓库解析器，查询结果缓存在 storage.local
+const sourceResolver = createSourceResolver({ storage: browserAPI.storage.local });
+
+// 打开历史与收藏仓库的内存副本，供同步执行的 omnibox 建议使用（随 storage.onChanged 更新）
+let historyEntries = [];
+let favoriteRepos = [];
+let completionIndex = [];
+
+function rebuildCompletionIndex() {
+  completionIndex = buildCompletionIndex(historyEntries, favoriteRepos);
+}
+
+Promise.all([getHistoryEntries(), getFavoriteRepos()]).then(([entries, favorites]) => {
+  historyEntries = entries;
+  favoriteRepos = favorites;
+  rebuildCompletionIndex();
+});
+
+// 仓库别名的内存副本（随 storage.onChanged 更新），确认输入前需等待首次加载完成
+let repoAliases = [];
+const aliasesReady = getAliases().then((aliases) => {
+  repoAliases = aliases;
+}).catch((e) => {
+  log('加载别名失败:', e);
+});
+
+/**
+ * 记录打开历史（失败不影响打开）
+ * @param {Object} target - {platform, owner, repo, path}
+ */
+function recordOpenHistory(target) {
+  recordHistory(target).catch((e) => {
+    log('记录历史失败:', e);
+  });
+}
+
 /**
  * 动态更新omnibox默认提示
  */
 function updateDefaultSuggestion() {
   const defaultCfg = PLATFORMS[DEFAULT_PLATFORM] || PLATFORMS.github;
   browserAPI.omnibox.setDefaultSuggestion({
-    description: `${defaultCfg.name}: <match>${browserAPI.i18n.getMessage('omnibox_default_suggestion')}</match>`
+    description: `${escapeOmniboxXml(defaultCfg.name)}: <match>${browserAPI.i18n.getMessage('omnibox_default_suggestion')}</match>`
   });
 }
 
@@ -75,12 +143,13 @@ function updateDefaultSuggestion() {
  * @param {string} params.path - 路径（可选）
  * @param {number} params.tabId - 标签页ID（可选，用于当前标签页打开）
  * @param {string} params.sourceUrl - 来源URL（可选，用于记录返回）
+ * @param {string} params.source - 跳转来源（可选）：search 或 dns，用于返回提示
  * @param {string} params.disposition - 打开方式（可选，优先级高于配置）
  * @param {string} params.searchRedirectMode - 搜索跳转模式（可选）
  * @returns {Promise<string|null>} 返回打开的URL，失败返回null
  */
 async function openRepoUnified(params) {
-  const { platform, owner, repo, path = '', tabId, sourceUrl, disposition, searchRedirectMode } = params;
+  const { platform, owner, repo, path = '', tabId, sourceUrl, source = 'search', disposition, searchRedirectMode } = params;
 
   // 验证参数
   if (!platform || !owner) {
@@ -123,6 +192,7 @@ async function openRepoUnified(params) {
         [`repo_source_${tabId}`]: {
           url: sourceUrl,
           platform: platformInfo.name,
+          source,
           timestamp: Date.now()
         }
       });
@@ -136,28 +206,12 @@ async function openRepoUnified(params) {
     browserAPI.tabs.create({ url: repoUrl });
   }
 
+  recordOpenHistory({ platform, owner, repo, path });
+
   log('====================================');
   return repoUrl;
 }
 
-/**
- * 检查URL是否应该绕过（不进行重定向）
- * @param {string} url - 待检查的URL
- * @param {string[]} bypassPatterns - 白名单模式数组
- * @returns {boolean} 是否应该绕过
- */
-function shouldBypass(url, bypassPatterns) {
-  const urlLower = url.toLowerCase();
-
-  for (const pattern of bypassPatterns) {
-    if (urlLower.includes(pattern.toLowerCase())) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
 // ==================== 调试配置 ====================
 const DEBUG = true;
 
@@ -172,86 +226,17 @@ function log(...args) {
 // ==================== 搜索引擎检测函数 ====================
 
 /**
- * 从URL提取搜索关键词（支持任意搜索引擎）
- * @param {string} url - 搜索引擎URL
- * @returns {string|null} 搜索关键词或null
+ * 识别搜索引擎结果页（内置适配器 + 用户自定义搜索引擎）
+ * @param {string} url - 页面 URL
+ * @returns {Promise<{engine: string, query: string|null, skip: string|null}|null>}
  */
-function extractSearchQuery(url) {
-  try {
-    const urlObj = new URL(url);
-
-    // 常见搜索参数列表（按优先级排序）
-    const searchParams = [
-      'q',           // Google, Bing, DuckDuckGo, Yahoo
-      'query',       // 自定义搜索引擎
-      'search',      // 通用搜索参数
-      'wd',          // Baidu
-      'word',        // Baidu备用
-      'text',        // Yandex
-      's',           // WordPress等
-      'search_query', // YouTube
-      'k',           // 其他搜索引擎
-      'keywords',    // 其他搜索引擎
-      'qt',          // 其他搜索引擎
-      'p'            // Yahoo Japan
-    ];
-
-    // 尝试所有可能的搜索参数
-    for (const param of searchParams) {
-      const value = urlObj.searchParams.get(param);
-      if (value && value.trim()) {
-        log('从参数', param, '提取到搜索关键词:', value);
-        return value;
-      }
-    }
-
-    return null;
-  } catch (e) {
-    return null;
-  }
-}
-
-/**
- * 检查URL是否可能是搜索引擎
- * @param {string} url - 待检查的URL
- * @returns {boolean} 是否为搜索引擎
- */
-function isPossibleSearchEngine(url) {
-  try {
-    const urlObj = new URL(url);
-
-    // 排除代码托管平台和本地地址
-    const excludePatterns = [
-      'github.com',
-      'gitlab.com',
-      'bitbucket.org',
-      'gitee.com',
-      'localhost',
-      '127.0.0.1',
-      '192.168.',
-      '10.0.',
-      '172.16.'
-    ];
-
-    for (const pattern of excludePatterns) {
-      if (urlObj.hostname.includes(pattern)) {
-        return false;
-      }
-    }
-
-    // 检查URL是否包含常见的搜索参数
-    const searchParams = ['q', 'query', 'search', 'wd', 'word', 'text', 's', 'search_query', 'k', 'keywords', 'qt', 'p'];
-    const hasSearchParam = searchParams.some(param => urlObj.searchParams.has(param));
-
-    if (hasSearchParam) {
-      log('检测到可能的搜索引擎 URL:', urlObj.hostname);
-      return true;
-    }
-
-    return false;
-  } catch (e) {
-    return false;
+async function detectSearchEngine(url) {
+  const { engines, strict } = await getSearchEngineSettings();
+  const result = matchSearchEngine(url, engines, strict);
+  if (result) {
+    log('检测到搜索引擎:', result.engine, result.skip ? `(${result.skip})` : '');
   }
+  return result;
 }
 
 // ==================== 跳转记录管理 ====================
@@ -308,6 +293,7 @@ function recordJump(platform, owner, repo) {
  * @returns {Promise<boolean>} 是否已处理
  */
 async function handleSearchEngineRedirect(details) {
+  await userPlatformsReady;
   const features = await getFeatureToggles();
   if (!features.featureSearchRedirect) {
     return false;
@@ -315,11 +301,12 @@ async function handleSearchEngineRedirect(details) {
 
   log('导航到:', details.url);
 
-  if (!isPossibleSearchEngine(details.url)) {
+  const search = await detectSearchEngine(details.url);
+  if (!search || search.skip) {
     return false;
   }
 
-  const searchQuery = extractSearchQuery(details.url);
+  const searchQuery = search.query;
   if (!searchQuery) {
     log('未找到搜索关键词');
     return false;
@@ -327,28 +314,63 @@ async function handleSearchEngineRedirect(details) {
 
   log('搜索关键词:', searchQuery);
 
+  if (isRedirectSuppressed(await getRedirectSuppressions(), 'query', searchQuery)) {
+    log('搜索词在不再跳转列表中，跳过');
+    return false;
+  }
+
+  const visitedKeys = await getVisitedHistoryKeys();
   const parsed = parseSearchQuery(searchQuery);
   if (!parsed) {
-    return false;
+    // 单个名称（如 react、requests）可能对应多个包管理平台，只显示平台选择，不自动跳转
+    if (!features.featureSearchChooser) {
+      return false;
+    }
+
+    const candidates = await getSearchCandidates(searchQuery, features, visitedKeys);
+    if (!hasPackageQueryEvidence(searchQuery, candidates, visitedKeys)) {
+      return false;
+    }
+
+    const confidence = scoreSearchMatch(searchQuery, candidates[0], visitedKeys);
+    log('包名搜索置信度:', confidence.score, confidence.level);
+    if (confidence.level === 'low' || !isRedirectAllowed(features, candidates[0].platform, search.engine)) {
+      return false;
+    }
+
+    await storeSearchJump(details.tabId, { ...candidates[0], query: searchQuery });
+    log('多个候选平台，等待用户选择:', candidates.map(item => item.platform).join(', '));
+    return true;
   }
 
   const { platform, owner, repo, path } = parsed;
   log('从搜索引擎匹配到仓库:', `${platform}:${owner}/${repo}${path}`);
 
+  if (!isRedirectAllowed(features, platform, search.engine)) {
+    return false;
+  }
+
+  // 置信度评分：低置信度不处理，中置信度只显示“按 Tab 跳转”提示
+  const confidence = scoreSearchMatch(searchQuery, parsed, visitedKeys);
+  log('置信度:', confidence.score, confidence.level);
+
+  if (confidence.level === 'low') {
+    return false;
+  }
+
   if (isRecentJump(platform, owner, repo)) {
     return true;
   }
 
-  if (features.searchRedirectMode === 'tabJump') {
-    await browserAPI.storage.local.set({
-      [`search_jump_${details.tabId}`]: {
-        platform,
-        owner,
-        repo,
-        path,
-        timestamp: Date.now()
-      }
-    });
+  // 未列出的搜索页（非严格模式下识别，可能是购物、文档站的站内搜索）只提示，不自动跳转
+  const hintOnly = features.searchRedirectMode === 'tabJump' ||
+    confidence.level === 'medium' ||
+    search.engine === GENERIC_SEARCH_ENGINE_ID;
+
+  if (hintOnly) {
+    // 未显式指定平台时附带搜索词，提示中可改选其他平台
+    const query = features.featureSearchChooser && !hasExplicitPlatform(searchQuery) ? searchQuery : null;
+    await storeSearchJump(details.tabId, { platform, owner, repo, path, query });
     log('Tab跳转模式：已存储跳转信息，等待用户按Tab');
     return true;
   }
@@ -367,75 +389,101 @@ async function handleSearchEngineRedirect(details) {
 }
 
 /**
- * 处理地址栏 owner/repo 简写跳转（MV3 兼容，替代 webRequest blocking）
- * 例如用户输入 microsoft/vscode 被解析为 http://microsoft/vscode
- * @param {chrome.webNavigation.WebNavigationParentedCallbackDetails} details
- * @returns {Promise<boolean>} 是否已处理
+ * 存储待确认的搜索跳转，由 content/search-hint.js 显示提示
+ * @param {number} tabId - 标签页 ID
+ * @param {Object} data - {platform, owner, repo, path, query}
+ * @returns {Promise<void>}
  */
-async function handleShorthandRepoRedirect(details) {
-  const features = await getFeatureToggles();
-  if (!features.featureDnsIntercept) {
-    return false;
-  }
-
-  if (!/^https?:/i.test(details.url)) {
-    return false;
-  }
-
-  const urlObj = new URL(details.url);
+async function storeSearchJump(tabId, data) {
+  await browserAPI.storage.local.set({
+    [`search_jump_${tabId}`]: { ...data, timestamp: Date.now() }
+  });
+}
 
-  if (urlObj.protocol === 'chrome:' || urlObj.protocol === 'chrome-extension:' || urlObj.protocol === 'about:') {
-    return false;
-  }
+/**
+ * 打开过的目标的 key 集合（小写），用于置信度评分和候选排序
+ * @returns {Promise<Set<string>>}
+ */
+async function getVisitedHistoryKeys() {
+  const entries = await getHistoryEntries();
+  return new Set(entries.map(entry => getHistoryEntryKey(entry).toLowerCase()));
+}
 
-  if (urlObj.hostname === 'github.com' || urlObj.hostname === 'www.github.com') {
-    return false;
-  }
+/**
+ * 列出搜索词可能对应的各平台目标（最多 9 个，对应数字键 1–9）
+ * owner/repo 列出各主要代码托管平台，单个名称列出各包管理平台；
+ * 访问过的目标排在前面，功能矩阵中屏蔽的平台不列出
+ *
+ * @param {string} query - 搜索词
+ * @param {Object} features - getFeatureToggles 的返回值
+ * @param {Set<string>} [visitedKeys] - 历史条目的 key，缺省时读取历史
+ * @returns {Promise<Object[]>} 目标列表 {platform, owner, repo, path}，第一项为最佳猜测
+ */
+async function getSearchCandidates(query, features, visitedKeys = null) {
+  visitedKeys = visitedKeys || await getVisitedHistoryKeys();
+  const isVisited = target => visitedKeys.has(getHistoryEntryKey(target).toLowerCase());
+
+  return detectSelectionTargets(query)
+    .filter(target => !features.redirectBlockedPlatforms.includes(target.platform))
+    .sort((a, b) => Number(isVisited(b)) - Number(isVisited(a)))
+    .slice(0, 9);
+}
 
-  if (findPlatformByDomain(urlObj.hostname)) {
+/**
+ * 将一次错误跳转加入不再跳转列表
+ * @param {string} source - 跳转来源：search 或 dns
+ * @param {string} url - 跳转前的地址（搜索结果页或解析失败的地址）
+ * @returns {Promise<boolean>} 是否新增
+ */
+async function suppressRedirect(source, url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    log('无效的跳转来源地址:', url);
     return false;
   }
 
-  if (isPossibleSearchEngine(details.url)) {
-    return false;
+  if (source === 'dns') {
+    const host = urlObj.hostname;
+    await forgetIntranetHost(host);
+    return addRedirectSuppression('host', host);
   }
 
-  const bypassPatterns = await getBypassPatterns();
-  if (shouldBypass(details.url, bypassPatterns)) {
-    return false;
-  }
+  const search = await detectSearchEngine(url);
+  return search && search.query ? addRedirectSuppression('query', search.query) : false;
+}
 
-  const fullPath = (urlObj.hostname + urlObj.pathname).replace(/^\//, '').replace(/\/$/, '');
+/**
+ * 解析 DNS 拦截的目标
+ * 始终识别 owner/repo 简写；范围为 defaultPlatform 时，
+ * 无法解析的单个名称（如 http://torvalds/）也打开默认平台上的用户页
+ *
+ * @param {URL} url - 解析失败的地址
+ * @param {string} fullPath - 主机名 + 路径
+ * @param {string} scope - 'shorthand' | 'defaultPlatform'
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function parseInterceptTarget(url, fullPath, scope) {
   const parsed = parseRepoInput(fullPath);
-  if (!parsed) {
-    return false;
+  if (parsed || scope !== 'defaultPlatform') {
+    return parsed;
   }
 
-  const { platform, owner, repo, path } = parsed;
-
-  if (isRecentJump(platform, owner, repo)) {
-    return true;
+  // 只处理单标签主机名（不含点号）且无路径的地址
+  if (url.hostname.includes('.') || url.pathname !== '/' || !/^[\w-]+$/.test(url.hostname)) {
+    return null;
   }
 
-  log('简写仓库导航拦截:', fullPath, '->', platform);
-  recordJump(platform, owner, repo);
-
-  await openRepoUnified({
-    platform,
-    owner,
-    repo,
-    path,
-    tabId: details.tabId,
-    sourceUrl: details.url,
-    searchRedirectMode: 'autoJump'
-  });
-  return true;
+  return { platform: DEFAULT_PLATFORM, owner: url.hostname, repo: '', path: '' };
 }
 
 // ==================== 事件监听器 ====================
 
 /**
- * 监听导航事件 - 搜索引擎跳转 & 简写仓库跳转（MV3 兼容）
+ * 监听导航事件 - 搜索引擎跳转（MV3 兼容）
+ * owner/repo 简写（如 http://microsoft/vscode）的主机名是单标签，可能是 wiki、jira 等内网主机，
+ * 因此不在导航前拦截，等真实的 DNS 解析失败后由 onErrorOccurred 处理
  */
 browserAPI.webNavigation.onBeforeNavigate.addListener(
   async (details) => {
@@ -444,18 +492,33 @@ browserAPI.webNavigation.onBeforeNavigate.addListener(
     }
 
     try {
-      const handledBySearch = await handleSearchEngineRedirect(details);
-      if (handledBySearch) {
-        return;
-      }
-
-      await handleShorthandRepoRedirect(details);
+      await handleSearchEngineRedirect(details);
     } catch (e) {
       log('导航处理错误:', e);
     }
   }
 );
 
+/**
+ * 监听导航完成 - 记住成功加载的内网单标签主机
+ */
+browserAPI.webNavigation.onCompleted.addListener(
+  async (details) => {
+    if (details.frameId !== 0 || !/^https?:/i.test(details.url)) {
+      return;
+    }
+
+    try {
+      const { hostname } = new URL(details.url);
+      if (isSingleLabelHost(hostname)) {
+        await learnIntranetHost(hostname);
+      }
+    } catch (e) {
+      log('记录内网主机失败:', e);
+    }
+  }
+);
+
 /**
  * 监听DNS错误事件 - 拦截域名解析失败
  * 当用户在地址栏输入仓库名（如 owner/repo）导致DNS失败时，跳转到对应平台
@@ -473,6 +536,8 @@ browserAPI.webNavigation.onErrorOccurred.addListener(
     }
 
     try {
+      await userPlatformsReady;
+
       // 检查功能是否开启
       const features = await getFeatureToggles();
       if (!features.featureDnsIntercept) {
@@ -490,9 +555,20 @@ browserAPI.webNavigation.onErrorOccurred.addListener(
       }
 
       // 获取白名单
-      const bypassPatterns = await getBypassPatterns();
-      if (shouldBypass(details.url, bypassPatterns)) {
-        log('在白名单中，跳过');
+      const bypassRule = findBypassRule(details.url, await getBypassRules());
+      if (bypassRule) {
+        log('命中白名单规则，跳过:', formatBypassRule(bypassRule));
+        return;
+      }
+
+      if (isRedirectSuppressed(await getRedirectSuppressions(), 'host', url.hostname)) {
+        log('主机在不再跳转列表中，跳过:', url.hostname);
+        return;
+      }
+
+      // 成功加载过的内网主机（如 VPN 断开时的 wiki/page）不拦截
+      if ((await getIntranetHosts()).includes(url.hostname.toLowerCase())) {
+        log('已知内网主机，跳过:', url.hostname);
         return;
       }
 
@@ -500,13 +576,17 @@ browserAPI.webNavigation.onErrorOccurred.addListener(
       const fullPath = (url.hostname + url.pathname).replace(/^\//, '').replace(/\/$/, '');
       log('检查完整路径:', fullPath);
 
-      const parsed = parseRepoInput(fullPath);
+      const parsed = parseInterceptTarget(url, fullPath, features.dnsInterceptScope);
 
       if (parsed) {
         const { platform, owner, repo, path } = parsed;
 
         log('从DNS错误检测到仓库:', `${platform}:${owner}/${repo}${path}`);
 
+        if (!isRedirectAllowed(features, platform)) {
+          return;
+        }
+
         // 检查是否是最近刚跳转过的（避免返回后再次跳转）
         if (isRecentJump(platform, owner, repo)) {
           return;
@@ -523,6 +603,7 @@ browserAPI.webNavigation.onErrorOccurred.addListener(
           path,
           tabId: details.tabId,
           sourceUrl: details.url,
+          source: 'dns',
           searchRedirectMode: 'autoJump' // DNS拦截默认使用autoJump模式
         });
       }
@@ -541,11 +622,27 @@ browserAPI.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     // 首次安装，初始化存储
     browserAPI.storage.sync.set({
-      customBypassPatterns: [],
+      bypassRules: [], // 白名单规则（类型化，见 bypass-rules.js）
+      customPlatforms: [], // 用户自定义平台
+      selfHostedInstances: [], // 自建实例（如自建 GitLab）
       defaultPlatform: 'github', // 默认平台 GitHub
       featureOmnibox: true, // Omnibox功能默认开启
       featureSearchRedirect: true, // 搜索引擎跳转默认开启
       featureDnsIntercept: true, // DNS错误拦截默认开启
+      featureMultiOpenGroup: true, // 多平台打开时标签页分组默认开启
+      featureSearchChooser: true, // 搜索词对应多个平台时显示选择提示
+      counterpartPlatform: 'gitee', // 工具栏按钮打开的对应平台
+      customSearchEngines: [], // 用户自定义搜索引擎
+      searchEngineStrictMode: SEARCH_ENGINE_STRICT_DEFAULT, // 仅识别已列出的搜索引擎
+      redirectBlockedPlatforms: [], // 功能矩阵：不自动跳转到的平台
+      redirectBlockedEngines: [], // 功能矩阵：不触发跳转的搜索引擎
+      dnsInterceptScope: 'shorthand', // 功能矩阵：DNS 拦截范围
+      redirectSuppressions: [], // 返回提示中选择“不再跳转”的搜索词和主机
+      toastPosition: 'top-right', // 页面提示位置
+      toastTheme: 'dark', // 页面提示主题：dark / light / auto
+      toastMaxVisible: 3, // 同时显示的页面提示上限，超出时排队
+      toastReduceMotion: false, // 页面提示减少动画
+      [TOAST_SHORTCUT_STORAGE_KEY]: DEFAULT_TOAST_SHORTCUT, // 页面提示快捷键（见 shortcuts.js）
       searchRedirectMode: 'autoJump' // 搜索跳转模式默认为自动跳转
     });
 
@@ -553,6 +650,18 @@ browserAPI.runtime.onInstalled.addListener((details) => {
     browserAPI.runtime.openOptionsPage();
   }
 
+  if (details.reason === 'update') {
+    // 旧版字符串白名单迁移为类型化规则
+    migrateBypassPatterns().then((count) => {
+      if (count > 0) log('已迁移白名单规则:', count);
+    });
+
+    // 旧版默认快捷键 Tab 迁移为 Alt+J
+    migrateToastShortcut().then((migrated) => {
+      if (migrated) log('已迁移页面提示快捷键:', DEFAULT_TOAST_SHORTCUT);
+    });
+  }
+
   // 无论是安装还是更新，启动时都加载一次默认平台
   loadDefaultPlatform();
 });
@@ -569,19 +678,83 @@ browserAPI.storage.onChanged.addListener((changes, areaName) => {
       updateDefaultSuggestion();
     }
   }
+
+  if (areaName === 'sync' && changes.customPlatforms) {
+    const applied = applyCustomPlatforms(changes.customPlatforms.newValue || []);
+    log('自定义平台已更新:', applied.join(', ') || '无');
+  }
+
+  if (areaName === 'sync' && changes.selfHostedInstances) {
+    const applied = applySelfHostedInstances(changes.selfHostedInstances.newValue || []);
+    log('自建实例已更新:', applied.join(', ') || '无');
+    rebuildContextMenus();
+  }
+
+  if (areaName === 'sync' && changes[ALIASES_STORAGE_KEY]) {
+    repoAliases = changes[ALIASES_STORAGE_KEY].newValue || [];
+  }
+
+  if (areaName === 'local' && (changes[HISTORY_STORAGE_KEY] || changes[FAVORITES_STORAGE_KEY])) {
+    if (changes[HISTORY_STORAGE_KEY]) {
+      historyEntries = changes[HISTORY_STORAGE_KEY].newValue || [];
+    }
+    if (changes[FAVORITES_STORAGE_KEY]) {
+      favoriteRepos = changes[FAVORITES_STORAGE_KEY].newValue || [];
+    }
+    rebuildCompletionIndex();
+  }
 });
 
 // ==================== Omnibox API ====================
 // 地址栏关键词触发（输入 'o' + 空格）
 
+// 平台名可能来自用户自定义平台（如 R&D Git），需转义；matchText 由调用方负责转义
 function omniboxDesc(platformName, matchText) {
-  return `${platformName}: <match>${matchText}</match>`;
+  return `${escapeOmniboxXml(platformName)}: <match>${matchText}</match>`;
 }
 
 function omniboxUrlDesc(url) {
   return `<match>${url}</match>`;
 }
 
+/**
+ * 补全索引项对应的 omnibox 建议
+ * @param {Object} item - 补全索引项（来自历史或收藏）
+ * @param {number[]} indices - 命中字符位置，用于高亮
+ * @returns {Object|null} 平台已不存在时返回 null
+ */
+function omniboxCompletionSuggestion(item, indices) {
+  const platformInfo = PLATFORMS[item.platform];
+  if (!platformInfo) return null;
+
+  const keyword = platformInfo.keywords[0];
+  let content = buildRepoUrl(item.platform, item.owner, item.repo, '');
+  if (keyword) {
+    content = platformInfo.singleName ? `${keyword} ${item.name}` : `${item.name} ${keyword}`;
+  }
+
+  const label = browserAPI.i18n.getMessage(item.source === 'favorite' ? 'omnibox_favorite_label' : 'omnibox_history_label');
+  return {
+    content,
+    description: `${escapeOmniboxXml(platformInfo.name)}: ${highlightMatches(item.name, indices)} <dim>${label}</dim>`
+  };
+}
+
+/**
+ * 别名对应的 omnibox 建议
+ * @param {Object} alias - 别名
+ * @param {string} suffix - 别名后的子命令（可为空）
+ * @returns {Object}
+ */
+function omniboxAliasSuggestion(alias, suffix = '') {
+  const platformInfo = PLATFORMS[alias.platform];
+  const label = browserAPI.i18n.getMessage('omnibox_alias_label');
+  return {
+    content: suffix ? `${alias.name} ${suffix}` : alias.name,
+    description: `${omniboxDesc(platformInfo.name, alias.name)} → ${escapeOmniboxXml(getAliasTargetText(alias))} <dim>${label}</dim>`
+  };
+}
+
 // 初始默认提示（会在加载默认平台后动态更新）
 /**
  * Omnibox输入变化处理 - 提供搜索建议
@@ -601,6 +774,49 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
   let detectedPlatform = null;
   let inputName = trimmedText;
 
+  // 别名：完全匹配时回车直接打开别名目标，前缀匹配时作为候选
+  const aliasTarget = resolveAlias(repoAliases, trimmedText);
+  if (aliasTarget) {
+    const platformInfo = PLATFORMS[aliasTarget.platform];
+    browserAPI.omnibox.setDefaultSuggestion({
+      description: `${omniboxDesc(platformInfo.name, escapeOmniboxXml(getAliasTargetText(aliasTarget)))} <dim>${browserAPI.i18n.getMessage('omnibox_alias_label')}: ${aliasTarget.alias.name}</dim>`
+    });
+    suggest(matchAliases(repoAliases, aliasTarget.alias.name)
+      .filter(alias => alias !== aliasTarget.alias)
+      .map(alias => omniboxAliasSuggestion(alias)));
+    return;
+  }
+
+  if (!/\s/.test(trimmedText)) {
+    matchAliases(repoAliases, trimmedText)
+      .forEach(alias => suggestions.push(omniboxAliasSuggestion(alias)));
+  }
+
+  // 多平台同时打开：react/react *、react/react gh,gl,ge
+  const multiOpen = parseMultiOpenInput(trimmedText);
+  if (multiOpen) {
+    const names = multiOpen.platforms.map(key => PLATFORMS[key].name).join(', ');
+    browserAPI.omnibox.setDefaultSuggestion({
+      description: omniboxDesc(
+        browserAPI.i18n.getMessage('omnibox_multi_open', [names]),
+        escapeOmniboxXml(multiOpen.name)
+      )
+    });
+    suggest(buildMultiOpenUrls(multiOpen).map(({ url }) => ({
+      content: url,
+      description: omniboxUrlDesc(escapeOmniboxXml(url))
+    })));
+    return;
+  }
+
+  // 离线补全：单个词输入（如 rea、vercel/ne）时从历史和收藏中模糊匹配，排在最前
+  if (!/\s/.test(trimmedText)) {
+    completeRepos(completionIndex, trimmedText, 5)
+      .map(({ item, indices }) => omniboxCompletionSuggestion(item, indices))
+      .filter(Boolean)
+      .forEach(suggestion => suggestions.push(suggestion));
+  }
+
   // 单词输入（无空格无 /）时，先看看是不是在“搜平台”
   if (!trimmedText.includes(' ') && !trimmedText.includes('/')) {
     const lower = trimmedText.toLowerCase();
@@ -629,6 +845,36 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
     }
   }
 
+  // 0. 源码查询：src npm:react → 包对应的源码仓库
+  const sourceCommand = parseSourceCommand(trimmedText);
+  if (sourceCommand) {
+    const platformInfo = PLATFORMS[sourceCommand.platform];
+    browserAPI.omnibox.setDefaultSuggestion({
+      description: omniboxDesc(
+        browserAPI.i18n.getMessage('omnibox_source_suggestion', [platformInfo.name]),
+        sourceCommand.name
+      )
+    });
+    // 保留原始的 src 命令文本，选中后仍解析为源码查询，而不是包页面
+    suggest([{
+      content: trimmedText,
+      description: omniboxDesc(platformInfo.name, sourceCommand.name)
+    }]);
+    return;
+  }
+
+  // 0b. 安装命令：npm i -D @types/node、pip install "requests>=2"、docker pull nginx:alpine
+  const installTarget = findInstallCommand(trimmedText);
+  if (installTarget) {
+    const platformInfo = PLATFORMS[installTarget.platform];
+    const name = `${installTarget.owner}${installTarget.repo ? '/' + installTarget.repo : ''}`;
+    browserAPI.omnibox.setDefaultSuggestion({
+      description: omniboxDesc(platformInfo.name, escapeOmniboxXml(name))
+    });
+    suggest([]);
+    return;
+  }
+
   // 1. 检查是否是完整 URL
   const urlMatch = trimmedText.match(FULL_URL_PATTERN);
   if (urlMatch) {
@@ -640,7 +886,7 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
 
       // 动态更新默认建议
       browserAPI.omnibox.setDefaultSuggestion({
-        description: `${platformInfo.name}: <match>${owner}/${repo}</match>${path}`
+        description: `${escapeOmniboxXml(platformInfo.name)}: <match>${owner}/${repo}</match>${path}`
       });
 
       suggestions.push({
@@ -654,12 +900,12 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
 
   // 1b. 文本中含链接（仓库或通用 URL，如 B 站、文章链接等）
   const inlineUrls = extractAllInlineUrls(trimmedText);
-  if (shouldShowInlineUrlSuggestions(trimmedText, inlineUrls)) {
+  if (!findPackageKeywordPlatform(trimmedText) && shouldShowInlineUrlSuggestions(trimmedText, inlineUrls)) {
     const first = inlineUrls[0];
     if (first.type === 'repo') {
       const firstInfo = PLATFORMS[first.platform];
       browserAPI.omnibox.setDefaultSuggestion({
-        description: `${firstInfo.name}: <match>${first.owner}/${first.repo}</match>${first.path}`
+        description: `${escapeOmniboxXml(firstInfo.name)}: <match>${first.owner}/${first.repo}</match>${first.path}`
       });
     } else {
       browserAPI.omnibox.setDefaultSuggestion({
@@ -686,6 +932,43 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
     return;
   }
 
+  // 1c. 仓库名 + 子命令（#123、pr 456、releases 等），按平台预览深层链接
+  const repoCommand = parseRepoCommand(trimmedText);
+  if (repoCommand) {
+    const { owner, repo, command, arg } = repoCommand;
+    const platformKeys = repoCommand.explicitPlatform
+      ? [repoCommand.platform]
+      : [DEFAULT_PLATFORM, ...['github', 'gitlab', 'bitbucket', 'gitee'].filter(key => key !== DEFAULT_PLATFORM)];
+    const commandText = formatSubCommand(command, arg);
+    updateDefaultSuggestion();
+
+    platformKeys.forEach((platformKey) => {
+      const path = buildSubCommandPath(platformKey, command, arg);
+      const platformInfo = PLATFORMS[platformKey];
+
+      // 回车直接打开的平台作为默认建议，平台没有该页面时回车打开仓库首页
+      if (platformKey === repoCommand.platform) {
+        const fallback = path === null
+          ? ` <dim>${escapeOmniboxXml(browserAPI.i18n.getMessage('launcher_command_fallback', [platformInfo.name]))}</dim>`
+          : '';
+        browserAPI.omnibox.setDefaultSuggestion({
+          description: omniboxDesc(platformInfo.name, `${owner}/${repo}${path || ''}`) + fallback
+        });
+        return;
+      }
+      if (path === null) return;
+
+      // 其余平台作为候选
+      suggestions.push({
+        content: `${owner}/${repo} ${commandText} ${platformInfo.keywords[0]}`,
+        description: omniboxDesc(platformInfo.name, `${owner}/${repo}${path}`)
+      });
+    });
+
+    suggest(suggestions);
+    return;
+  }
+
   // 2. 检查是否包含空格（平台名 + 仓库名）
   const parts = trimmedText.split(/\s+/);
   if (parts.length === 2) {
@@ -723,7 +1006,8 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
       });
     } else {
       // 需要 owner/repo 格式
-      const repoMatch = inputName.match(REPO_WITH_PATH_PATTERN) || inputName.match(REPO_PATTERN);
+      const repoName = stripOwnerSigil(detectedPlatform, inputName);
+      const repoMatch = repoName.match(REPO_WITH_PATH_PATTERN) || repoName.match(REPO_PATTERN);
       if (repoMatch) {
         const owner = repoMatch[1];
         const repo = repoMatch[2];
@@ -731,7 +1015,7 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
 
         // 动态更新默认建议
         browserAPI.omnibox.setDefaultSuggestion({
-          description: `${platformInfo.name}: <match>${owner}/${repo}</match>${path}`
+          description: `${escapeOmniboxXml(platformInfo.name)}: <match>${owner}/${repo}</match>${path}`
         });
 
         const url = buildRepoUrl(detectedPlatform, owner, repo, path);
@@ -739,6 +1023,11 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
           content: trimmedText,
           description: omniboxDesc(platformInfo.name, `${owner}/${repo}${path}`)
         });
+      } else if (inputName.includes('/')) {
+        // 名称不符合平台格式：回车不跳转
+        browserAPI.omnibox.setDefaultSuggestion({
+          description: `${omniboxDesc(platformInfo.name, escapeOmniboxXml(inputName))} <dim>${escapeOmniboxXml(browserAPI.i18n.getMessage('launcher_invalid_input', [platformInfo.name]))}</dim>`
+        });
       } else {
         browserAPI.omnibox.setDefaultSuggestion({
           description: omniboxDesc(platformInfo.name, inputName)
@@ -767,7 +1056,16 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
     // 动态更新默认建议为默认平台
     const defaultCfg = PLATFORMS[DEFAULT_PLATFORM] || PLATFORMS.github;
     browserAPI.omnibox.setDefaultSuggestion({
-      description: `${defaultCfg.name}: <match>${owner}/${repo}</match>${path}`
+      description: `${escapeOmniboxXml(defaultCfg.name)}: <match>${owner}/${repo}</match>${path}`
+    });
+
+    // 一次在所有代码托管平台打开
+    suggestions.push({
+      content: `${inputName} ${MULTI_OPEN_ALL}`,
+      description: omniboxDesc(
+        browserAPI.i18n.getMessage('omnibox_multi_open', [MULTI_OPEN_PLATFORMS.map(key => PLATFORMS[key].name).join(', ')]),
+        `${owner}/${repo}${path}`
+      )
     });
 
     // 主要代码托管平台
@@ -793,7 +1091,7 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
     // 动态更新默认建议为默认平台的用户页
     const defaultCfg = PLATFORMS[DEFAULT_PLATFORM] || PLATFORMS.github;
     browserAPI.omnibox.setDefaultSuggestion({
-      description: `${defaultCfg.name}: <match>${inputName}</match>`
+      description: `${escapeOmniboxXml(defaultCfg.name)}: <match>${inputName}</match>`
     });
     // 代码托管平台用户页：github.com/name, gitlab.com/name ...
     const codePlatforms = ['github', 'gitlab', 'bitbucket', 'gitee'];
@@ -837,150 +1135,168 @@ browserAPI.omnibox.onInputChanged.addListener((text, suggest) => {
 });
 
 browserAPI.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  await userPlatformsReady;
+
   // 检查功能是否开启
   const features = await getFeatureToggles();
   if (!features.featureOmnibox) {
     return;
   }
 
+  await openOmniboxInput(text, disposition, features);
+});
+
+/**
+ * 按 Omnibox 规则解析输入并打开（地址栏与快捷启动窗口共用）
+ * @param {string} text - 用户输入
+ * @param {string} disposition - 打开方式
+ * @param {Object} features - 功能开关
+ */
+async function openOmniboxInput(text, disposition, features) {
   const trimmedText = text.trim();
   if (!trimmedText) return;
 
-  // 0. 独立通用 URL（如 https://www.bilibili.com/...）
-  if (isStandaloneGenericUrl(trimmedText)) {
-    openUrl(normalizeGenericUrl(trimmedText), disposition);
+  // 别名：先于常规解析，fe → acme/frontend-monorepo
+  await aliasesReady;
+  const aliasTarget = resolveAlias(repoAliases, trimmedText);
+  if (aliasTarget) {
+    const aliasUrl = buildRepoUrl(aliasTarget.platform, aliasTarget.owner, aliasTarget.repo, aliasTarget.path);
+    log('Omnibox 别名触发:', aliasTarget.alias.name, aliasUrl);
+    openUrl(aliasUrl, disposition);
     return;
   }
 
-  let platform = DEFAULT_PLATFORM;
-  let inputName = trimmedText;
-  let owner = '';
-  let repo = '';
-  let path = '';
+  // 源码查询：src npm:react → 查询注册表元数据并打开源码仓库
+  const sourceCommand = parseSourceCommand(trimmedText);
+  if (sourceCommand) {
+    await openPackageSource(sourceCommand.platform, sourceCommand.name, disposition);
+    return;
+  }
 
-  // 1. 完整 URL：直接识别平台并按仓库路径打开
-  const urlMatch = trimmedText.match(FULL_URL_PATTERN);
-  if (urlMatch) {
-    const [, domain, ownerMatch, repoMatch, pathMatch = ''] = urlMatch;
-    const detectedPlatform = findPlatformByDomain(domain);
-    if (detectedPlatform) {
-      platform = detectedPlatform;
-      owner = ownerMatch;
-      repo = repoMatch;
-      path = pathMatch;
-    }
-  } else {
-    const hasSlash = trimmedText.includes('/');
-    const hasSpace = /\s/.test(trimmedText);
-
-    // 1b. 文本中含零散 URL：打开第一个匹配项
-    const inlineUrls = extractAllInlineUrls(trimmedText);
-    if (shouldShowInlineUrlSuggestions(trimmedText, inlineUrls)) {
-      const first = inlineUrls[0];
-      log('Omnibox 零散 URL 触发，跳转到:', first.url);
-      openUrl(first.url, disposition);
-      return;
-    }
+  const target = resolveLauncherInput(trimmedText);
+  if (!target) return;
 
-    // 2. 如果是单词（无空格无 /）：
-    if (!hasSlash && !hasSpace) {
-      const lower = trimmedText.toLowerCase();
+  // 多平台同时打开：在后台标签页中逐个打开
+  if (target.type === 'multi') {
+    await openMultipleUrls(target.targets, target.name, features.featureMultiOpenGroup);
+    return;
+  }
 
-      // 2.1 先看是否像是在“搜平台”（git → GitHub/GitLab，doc → Docker等）
-      const matchedPlatforms = Object.entries(PLATFORMS)
-        .filter(([key, cfg]) => cfg.keywords.some(kw => kw.startsWith(lower)));
+  // 名称不符合平台格式：不跳转，在当前页提示
+  if (target.type === 'invalid') {
+    log('Omnibox 输入无法解析:', target.platform, target.name);
+    const [activeTab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    showCommandToast(activeTab?.id, {
+      platform: target.platform,
+      title: browserAPI.i18n.getMessage('launcher_invalid_input', [PLATFORMS[target.platform].name]),
+      highlight: target.name
+    });
+    return;
+  }
 
-      if (matchedPlatforms.length > 0) {
-        // 打开对应平台首页，默认平台优先
-        matchedPlatforms.sort(([aKey], [bKey]) => {
-          if (aKey === DEFAULT_PLATFORM) return -1;
-          if (bKey === DEFAULT_PLATFORM) return 1;
-          return 0;
-        });
+  log('Omnibox 触发，跳转到:', target.platform, target.url);
+  const tab = await openUrl(target.url, disposition);
 
-        const [firstKey, firstCfg] = matchedPlatforms[0];
-        const url = `https://${firstCfg.domain}/`;
-        platform = firstKey;
-        openUrl(url, disposition);
-        return;
-      }
+  // 平台没有子命令对应的页面，已改为打开仓库首页
+  if (target.unsupportedCommand && tab?.id) {
+    await queueCommandToast(tab.id, {
+      platform: target.platform,
+      title: browserAPI.i18n.getMessage('launcher_command_fallback', [PLATFORMS[target.platform].name]),
+      highlight: target.unsupportedCommand
+    });
+  }
+}
 
-      // 2.2 否则视为“用户/组织名”：github.com/name, gitlab.com/name ...
-      const defaultCfg = PLATFORMS[DEFAULT_PLATFORM];
-      const url = `https://${defaultCfg.domain}/${trimmedText}`;
-      platform = DEFAULT_PLATFORM;
-      openUrl(url, disposition);
-      return;
-    }
+/**
+ * 打开包对应的源码仓库，查不到时退回到包页面
+ * @param {string} platform - 注册表平台key
+ * @param {string} name - 包名
+ * @param {string} disposition - 打开方式
+ */
+async function openPackageSource(platform, name, disposition) {
+  let target = null;
+  try {
+    target = await sourceResolver.resolve(platform, name);
+  } catch (e) {
+    log('源码仓库查询失败:', e);
+  }
 
-    // 3. 包含空格：前后部分中优先把前一个当平台，其次后一个
-    const parts = trimmedText.split(/\s+/);
-    if (parts.length >= 2) {
-      const [first, ...rest] = parts;
-      const last = rest[rest.length - 1];
-      const firstPlatform = findPlatformByKeyword(first);
-      const lastPlatform = findPlatformByKeyword(last);
-
-      if (firstPlatform) {
-        platform = firstPlatform;
-        inputName = rest.join(' ');
-      } else if (lastPlatform) {
-        platform = lastPlatform;
-        inputName = parts.slice(0, -1).join(' ');
-      }
-    }
+  if (!target) {
+    log('未找到源码仓库，打开包页面:', platform, name);
+    openUrl(buildRepoUrl(platform, name, '', ''), disposition);
+    return;
+  }
 
-    const platformInfo = PLATFORMS[platform];
+  const [activeTab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+  await openRepoUnified({
+    ...target,
+    tabId: activeTab?.id,
+    disposition
+  });
+}
 
-    // 4. singleName 平台：整个 inputName 当作包名
-    if (platformInfo.singleName) {
-      owner = inputName;
-      repo = '';
-      path = '';
-    } else {
-      // 5. 代码托管平台：有 / 当仓库；无 / 当用户
-      if (inputName.includes('/')) {
-        const m = inputName.match(REPO_WITH_PATH_PATTERN) || inputName.match(REPO_PATTERN);
-        if (m) {
-          owner = m[1];
-          repo = m[2];
-          path = m[3] || '';
-        }
-      } else {
-        // 无 /：用户页
-        const cfg = PLATFORMS[platform];
-        const url = `https://${cfg.domain}/${inputName}`;
-        openUrl(url, disposition);
-        return;
-      }
+/**
+ * 在后台标签页中同时打开多个 URL，并可选地归入同一标签组
+ * @param {Array<{platform: string, url: string}>} targets - 待打开的 URL
+ * @param {string} title - 标签组标题
+ * @param {boolean} group - 是否分组（浏览器不支持 tabs.group 时忽略）
+ */
+async function openMultipleUrls(targets, title, group) {
+  log('Omnibox 多平台打开:', targets.map(({ url }) => url));
+
+  const tabs = await Promise.all(targets.map(({ url }) => {
+    const target = parsePlatformUrl(url);
+    if (target) {
+      recordOpenHistory(target);
     }
-  }
+    return browserAPI.tabs.create({ url, active: false });
+  }));
 
-  // 6. 构建 URL 并打开仓库/包页面
-  const repoUrl = buildRepoUrl(platform, owner, repo, path);
-  if (repoUrl) {
-    const platformInfo = PLATFORMS[platform];
-    log('Omnibox 触发，跳转到:', platformInfo.name, repoUrl);
-    openUrl(repoUrl, disposition);
+  if (!group || !browserAPI.tabs.group) return;
+
+  try {
+    const groupId = await browserAPI.tabs.group({ tabIds: tabs.map(tab => tab.id) });
+    if (browserAPI.tabGroups) {
+      await browserAPI.tabGroups.update(groupId, { title });
+    }
+  } catch (e) {
+    log('标签页分组失败:', e);
   }
-});
+}
 
 /**
  * 根据disposition打开URL（用于Omnibox）
  * @param {string} url - 目标URL
  * @param {string} disposition - 打开方式
+ * @returns {Promise<Object>} 打开 URL 的标签页
  */
 function openUrl(url, disposition) {
   log('Omnibox 打开URL:', url, '方式:', disposition);
 
+  const target = parsePlatformUrl(url);
+  if (target) {
+    recordOpenHistory(target);
+  }
+
   if (disposition === 'currentTab') {
-    browserAPI.tabs.update({ url });
+    return browserAPI.tabs.update({ url });
   } else if (disposition === 'newForegroundTab') {
-    browserAPI.tabs.create({ url });
-  } else {
-    // newBackgroundTab
-    browserAPI.tabs.create({ url, active: false });
+    return browserAPI.tabs.create({ url });
   }
+  // newBackgroundTab
+  return browserAPI.tabs.create({ url, active: false });
+}
+
+/**
+ * 异步消息处理失败时的回复：记录错误并回复 {success: false}，调用方不会一直等待
+ * @param {function} sendResponse - onMessage 的 sendResponse
+ * @returns {function(Error): void}
+ */
+function replyOnError(sendResponse) {
+  return (e) => {
+    log('消息处理失败:', e);
+    sendResponse({ success: false });
+  };
 }
 
 /**
@@ -1006,14 +1322,395 @@ browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
 
     sendResponse({ success: true });
+  } else if (request.action === 'getSearchCandidates') {
+    // 搜索页提示中的平台选择
+    getFeatureToggles()
+      .then(features => getSearchCandidates(request.query, features))
+      .then(candidates => sendResponse({ candidates }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'suppressRedirect') {
+    // 返回提示中的“不再跳转”：搜索来源记录搜索词，地址栏来源记录主机名
+    suppressRedirect(request.source, request.url)
+      .then(added => sendResponse({ success: added }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'removeHistoryEntries') {
+    // 选项页添加排除规则后删除匹配的历史（与记录历史共用同一个写入队列）
+    removeHistoryEntries(request.rules || [])
+      .then(() => sendResponse({ success: true }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'clearHistory') {
+    // 选项页清空历史
+    clearHistory()
+      .then(() => sendResponse({ success: true }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'updateSelectionMenu') {
+    // 右键菜单弹出前，按选中文本更新子菜单
+    updateSelectionMenu(request.text)
+      .then(() => sendResponse({ success: true }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'openLauncherInput') {
+    // 弹出窗口（工具栏或快捷键打开）提交的输入
+    openLauncherInput(request.text, request.tabId, request.disposition)
+      .then(() => sendResponse({ success: true }))
+      .catch(replyOnError(sendResponse));
+  } else if (request.action === 'openCounterpart') {
+    // 弹出窗口中的“在对应平台打开”；标签页可能已关闭，tabs.get 的参数错误也可能同步抛出
+    Promise.resolve(request.tabId)
+      .then(tabId => browserAPI.tabs.get(tabId))
+      .then(runCounterpartCommand)
+      .then(() => sendResponse({ success: true }))
+      .catch(replyOnError(sendResponse));
   }
   return true;
 });
 
+// ==================== 对应平台 ====================
+// 在另一个平台（镜像或自建实例）打开当前页面的同一仓库、同一路径
+
+/**
+ * 右键菜单 ID 前缀：页面菜单与链接菜单分别注册，以便按平台域名限定显示范围
+ */
+const COUNTERPART_MENU_IDS = {
+  page: 'openin-counterpart-page',
+  link: 'openin-counterpart-link'
+};
+
+/**
+ * 可作为对应平台的平台：有深层路径结构的代码托管平台（含自建实例）
+ * @returns {string[]}
+ */
+function getCounterpartCandidates() {
+  return Object.keys(PLATFORMS).filter(key => getPathLayout(key));
+}
+
+/**
+ * 在对应平台打开页面
+ * @param {string} url - 当前页面或链接地址
+ * @param {string|null} targetPlatform - 目标平台，为空时使用配置的对应平台
+ * @param {Object} [tab] - 来源标签页，新标签页紧挨其后打开
+ * @returns {Promise<Object|null>} {url, tabId, from, platform, owner, repo}，页面不是可识别的仓库时返回 null
+ */
+async function openCounterpart(url, targetPlatform, tab) {
+  await userPlatformsReady;
+
+  const source = parsePlatformUrl(url);
+  if (!source || !source.repo || !getPathLayout(source.platform)) {
+    log('当前页面不是可识别的仓库:', url);
+    return null;
+  }
+
+  const { counterpartPlatform } = await browserAPI.storage.sync.get({ counterpartPlatform: 'gitee' });
+  const platform = targetPlatform || getCounterpartPlatform(source.platform, counterpartPlatform);
+  const path = translatePlatformPath(source.platform, source.path, platform);
+  const counterpartUrl = buildRepoUrl(platform, source.owner, source.repo, path);
+  log('对应平台:', source.platform, '→', platform, counterpartUrl);
+
+  const createProperties = { url: counterpartUrl };
+  if (tab) {
+    createProperties.index = tab.index + 1;
+    createProperties.openerTabId = tab.id;
+  }
+  const created = await browserAPI.tabs.create(createProperties);
+
+  recordOpenHistory({ platform, owner: source.owner, repo: source.repo, path });
+  return { url: counterpartUrl, tabId: created.id, from: source.platform, platform, owner: source.owner, repo: source.repo };
+}
+
+/**
+ * 选中文本菜单 ID，子菜单项为 `${SELECTION_MENU_ID}:${序号}`
+ */
+const SELECTION_MENU_ID = 'openin-selection';
+
+let contextMenusUpdate = Promise.resolve();
+
+/**
+ * 选中文本菜单各子菜单项当前的标题，点击时据此确认子菜单项与选中文本一致
+ */
+let selectionMenuTitles = [];
+
+/**
+ * 重建右键菜单（自建实例变化时调用），串行执行避免重复创建同一 ID
+ */
+function rebuildContextMenus() {
+  contextMenusUpdate = contextMenusUpdate.then(async () => {
+    await browserAPI.contextMenus.removeAll();
+
+    const candidates = getCounterpartCandidates();
+    const urlPatterns = candidates.map(key => `https://${PLATFORMS[key].domain}/*/*`);
+    const title = browserAPI.i18n.getMessage('context_open_counterpart');
+
+    // 选中文本菜单：子菜单项预先创建并隐藏，右键时由 updateSelectionMenu 填充
+    browserAPI.contextMenus.create({
+      id: SELECTION_MENU_ID,
+      title: browserAPI.i18n.getMessage('context_open_selection'),
+      contexts: ['selection'],
+      visible: false
+    });
+    for (let i = 0; i < SELECTION_MAX_TARGETS; i++) {
+      browserAPI.contextMenus.create({
+        id: `${SELECTION_MENU_ID}:${i}`,
+        parentId: SELECTION_MENU_ID,
+        title: String(i),
+        contexts: ['selection'],
+        visible: false
+      });
+    }
+
+    Object.entries(COUNTERPART_MENU_IDS).forEach(([context, parentId]) => {
+      browserAPI.contextMenus.create({
+        id: parentId,
+        title,
+        contexts: [context],
+        [context === 'page' ? 'documentUrlPatterns' : 'targetUrlPatterns']: urlPatterns
+      });
+
+      candidates.forEach((key) => {
+        browserAPI.contextMenus.create({
+          id: `${parentId}:${key}`,
+          parentId,
+          title: PLATFORMS[key].name,
+          contexts: [context]
+        });
+      });
+    });
+  }).catch((e) => {
+    log('创建右键菜单失败:', e);
+  });
+}
+
+userPlatformsReady.then(rebuildContextMenus);
+
 /**
- * 监听扩展图标点击事件 - 打开设置页面
+ * 目标在右键菜单中的显示文本，如 "GitHub: vercel/next.js"
+ * @param {Object} target - {platform, owner, repo, path}
+ * @returns {string}
  */
-browserAPI.action.onClicked.addListener(() => {
-  browserAPI.runtime.openOptionsPage();
+function getTargetMenuTitle(target) {
+  const name = `${target.owner}${target.repo ? '/' + target.repo : ''}${target.path}`;
+  return `${PLATFORMS[target.platform].name}: ${name}`;
+}
+
+/**
+ * 按选中文本显示或隐藏选中文本菜单的子菜单项
+ * @param {string} text - 选中文本
+ */
+async function updateSelectionMenu(text) {
+  await contextMenusUpdate;
+  await userPlatformsReady;
+
+  const targets = detectSelectionTargets(text);
+  selectionMenuTitles = targets.map(getTargetMenuTitle);
+
+  const updates = [
+    browserAPI.contextMenus.update(SELECTION_MENU_ID, { visible: targets.length > 0 })
+  ];
+  for (let i = 0; i < SELECTION_MAX_TARGETS; i++) {
+    const target = targets[i];
+    updates.push(browserAPI.contextMenus.update(`${SELECTION_MENU_ID}:${i}`, target
+      ? { visible: true, title: selectionMenuTitles[i] }
+      : { visible: false }));
+  }
+
+  try {
+    await Promise.all(updates);
+  } catch (e) {
+    log('更新选中文本菜单失败:', e);
+  }
+}
+
+browserAPI.contextMenus.onClicked.addListener(async (info, tab) => {
+  const [parentId, platform] = String(info.menuItemId).split(':');
+  if (parentId === SELECTION_MENU_ID) {
+    // 按点击时的选中文本重新识别；菜单是异步更新的，弹出时可能仍显示上一次选中文本的目标，
+    // 标题与重新识别的目标不一致时不打开，避免打开与菜单文字不符的页面
+    await userPlatformsReady;
+    const index = Number(platform);
+    const target = detectSelectionTargets(info.selectionText)[index];
+    if (!target || getTargetMenuTitle(target) !== selectionMenuTitles[index]) {
+      log('选中文本菜单已过期:', info.selectionText);
+      showCommandToast(tab?.id, { title: browserAPI.i18n.getMessage('context_selection_stale') });
+      return;
+    }
+    openRepoUnified({ ...target, tabId: tab?.id, disposition: 'newForegroundTab' });
+  } else if (parentId === COUNTERPART_MENU_IDS.page) {
+    openCounterpart(info.pageUrl, platform, tab);
+  } else if (parentId === COUNTERPART_MENU_IDS.link) {
+    openCounterpart(info.linkUrl, platform, tab);
+  }
 });
 
+
+// ==================== 快捷键命令 ====================
+// 在 manifest.json 的 commands 中声明，按键可在浏览器的快捷键设置页修改
+
+/**
+ * 快捷启动窗口尺寸
+ */
+const LAUNCHER_WINDOW_SIZE = { width: 460, height: 480 };
+
+/**
+ * 在标签页中显示命令提示，带 copyText 时由页面写入剪贴板
+ * @param {number} tabId - 标签页 ID
+ * @param {Object} toast - {platform, title, highlight, copyText}
+ * @returns {Promise<boolean>} 是否送达（页面未注入内容脚本时为 false）
+ */
+async function showCommandToast(tabId, toast) {
+  if (!tabId) return false;
+
+  try {
+    await browserAPI.tabs.sendMessage(tabId, { action: 'showCommandToast', toast });
+    return true;
+  } catch (e) {
+    log('页面无法显示命令提示:', e);
+    return false;
+  }
+}
+
+/**
+ * 为新打开的标签页保存命令提示，页面加载后由内容脚本读取显示
+ * @param {number} tabId - 新标签页 ID
+ * @param {Object} toast - {platform, title, highlight}
+ */
+async function queueCommandToast(tabId, toast) {
+  await browserAPI.storage.local.set({
+    [`command_toast_${tabId}`]: { ...toast, timestamp: Date.now() }
+  });
+}
+
+/**
+ * 打开快捷启动窗口，当前页是仓库时预填为 Omnibox 可识别的输入
+ * @param {Object} tab - 当前标签页
+ */
+async function openLauncher(tab) {
+  await userPlatformsReady;
+
+  const params = new URLSearchParams();
+  const source = tab?.url ? parsePlatformUrl(tab.url) : null;
+  if (source) {
+    const name = getHistoryEntryName(source);
+    params.set('q', source.platform === DEFAULT_PLATFORM ? name : `${PLATFORMS[source.platform].keywords[0]} ${name}`);
+  }
+  if (tab?.id) {
+    params.set('tabId', tab.id);
+  }
+
+  await browserAPI.windows.create({
+    url: browserAPI.runtime.getURL(`popup.html?${params}`),
+    type: 'popup',
+    ...LAUNCHER_WINDOW_SIZE
+  });
+}
+
+/**
+ * 弹出窗口提交：按 Omnibox 规则打开，由快捷键打开的独立窗口还会在来源页提示
+ * @param {string} text - 用户输入
+ * @param {number|null} tabId - 打开快捷启动窗口时的标签页，工具栏弹出窗口为空
+ * @param {string} [disposition] - 打开方式
+ */
+async function openLauncherInput(text, tabId, disposition = 'newForegroundTab') {
+  await userPlatformsReady;
+
+  const features = await getFeatureToggles();
+  await openOmniboxInput(text, disposition, features);
+  showCommandToast(tabId, {
+    title: browserAPI.i18n.getMessage('command_launcher_opened'),
+    highlight: text.trim()
+  });
+}
+
+/**
+ * 在对应平台打开当前仓库
+ * @param {Object} tab - 当前标签页
+ */
+async function runCounterpartCommand(tab) {
+  const opened = tab?.url ? await openCounterpart(tab.url, null, tab) : null;
+  if (!opened) {
+    showCommandToast(tab?.id, { title: browserAPI.i18n.getMessage('command_not_a_repo') });
+    return;
+  }
+
+  await queueCommandToast(opened.tabId, {
+    platform: opened.platform,
+    title: browserAPI.i18n.getMessage('command_counterpart_opened', [PLATFORMS[opened.from]?.name || opened.from]),
+    highlight: getHistoryEntryName(opened)
+  });
+}
+
+/**
+ * 复制当前仓库的克隆地址
+ * @param {Object} tab - 当前标签页
+ */
+async function runCopyCloneUrlCommand(tab) {
+  await userPlatformsReady;
+
+  const source = tab?.url ? parsePlatformUrl(tab.url) : null;
+  const cloneUrl = source ? buildCloneUrl(source.platform, source.owner, source.repo) : null;
+  if (!cloneUrl) {
+    showCommandToast(tab?.id, {
+      platform: source?.platform,
+      title: browserAPI.i18n.getMessage('command_not_a_repo')
+    });
+    return;
+  }
+
+  showCommandToast(tab.id, {
+    platform: source.platform,
+    title: browserAPI.i18n.getMessage('command_clone_url_copied'),
+    highlight: cloneUrl,
+    copyText: cloneUrl
+  });
+}
+
+/**
+ * 打开最近使用的仓库（跳过当前页面的仓库）
+ * @param {Object} tab - 当前标签页
+ */
+async function runOpenLastRepoCommand(tab) {
+  await userPlatformsReady;
+
+  const current = tab?.url ? parsePlatformUrl(tab.url) : null;
+  const currentKey = current ? getHistoryEntryKey(current) : null;
+  const entries = await getHistoryEntries();
+  const last = entries
+    .filter(entry => PLATFORMS[entry.platform] && getHistoryEntryKey(entry) !== currentKey)
+    .sort((a, b) => b.lastUsed - a.lastUsed)[0];
+
+  if (!last) {
+    showCommandToast(tab?.id, { title: browserAPI.i18n.getMessage('command_no_history') });
+    return;
+  }
+
+  const createProperties = { url: buildRepoUrl(last.platform, last.owner, last.repo, last.path) };
+  if (tab) {
+    createProperties.index = tab.index + 1;
+    createProperties.openerTabId = tab.id;
+  }
+  const created = await browserAPI.tabs.create(createProperties);
+  recordOpenHistory(last);
+
+  await queueCommandToast(created.id, {
+    platform: last.platform,
+    title: browserAPI.i18n.getMessage('command_last_repo_opened'),
+    highlight: getHistoryEntryName(last)
+  });
+}
+
+/**
+ * 快捷键命令分发
+ */
+const COMMAND_HANDLERS = {
+  'open-launcher': openLauncher,
+  'open-counterpart': runCounterpartCommand,
+  'copy-clone-url': runCopyCloneUrlCommand,
+  'open-last-repo': runOpenLastRepoCommand
+};
+
+browserAPI.commands.onCommand.addListener(async (command, tab) => {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+
+  // 焦点不在标签页（如开发者工具）时 tab 为空，取当前活动标签页
+  const activeTab = tab || (await browserAPI.tabs.query({ active: true, currentWindow: true }))[0];
+  log('快捷键命令:', command);
+  await handler(activeTab);
+});
@@ -0,0 +1,431 @@
+/**
+ * OpenIn - 白名单规则模块
+ *
+ * 命中白名单的地址不会被自动跳转。规则按类型匹配，避免子串匹配误伤：
+ * 精确主机名、*.suffix 通配、路径 glob、正则表达式和 IPv4 CIDR 网段。
+ * 另记录成功加载过的内网单标签主机，以及用户在返回提示中选择“不再跳转”的搜索词和主机。
+ * 依赖 platforms.js（normalizeHostname）以及全局 browserAPI。
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 白名单规则的存储 key（storage.sync），以及旧版字符串规则的 key
+ */
+const BYPASS_RULES_STORAGE_KEY = 'bypassRules';
+const LEGACY_BYPASS_PATTERNS_KEY = 'customBypassPatterns';
+
+/**
+ * 规则类型
+ * - host: 精确主机名，如 localhost
+ * - wildcard: *.example.com，匹配 example.com 及其所有子域名
+ * - path: 路径 glob，/ 开头时匹配任意主机的路径，否则匹配 主机名 + 路径；* 不跨越 /，** 可跨越
+ * - regex: /pattern/，对完整 URL 做不区分大小写的匹配
+ * - cidr: IPv4 网段，如 10.0.0.0/8，只匹配 IP 主机名
+ */
+const BYPASS_RULE_TYPES = ['host', 'wildcard', 'path', 'regex', 'cidr'];
+
+/**
+ * 默认白名单（不可编辑）
+ */
+const DEFAULT_BYPASS_RULES = [
+  { type: 'host', value: 'localhost' }
+];
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// ==================== 解析与校验 ====================
+
+/**
+ * IPv4 地址转为 32 位无符号整数
+ * @param {string} text
+ * @returns {number|null}
+ */
+function ipv4ToInt(text) {
+  const match = String(text).match(IPV4_PATTERN);
+  if (!match) return null;
+
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+  return octets.reduce((acc, octet) => acc * 256 + octet, 0);
+}
+
+/**
+ * 路径 glob 转为正则
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 解析用户输入的规则，按格式自动识别类型
+ * @param {string} text - 用户输入
+ * @returns {{rule: Object|null, error: string|null}} error 为 i18n key
+ */
+function parseBypassRule(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return { rule: null, error: 'enter_pattern_error' };
+
+  // /pattern/ 或 /pattern/i；不含正则元字符的 /admin/ 视为路径
+  const regexMatch = trimmed.match(/^\/(.+)\/i?$/);
+  if (regexMatch && (trimmed.endsWith('/i') || /[\\^$.|?*+()[\]{}]/.test(regexMatch[1]))) {
+    try {
+      new RegExp(regexMatch[1], 'i');
+    } catch (e) {
+      return { rule: null, error: 'bypass_rule_invalid_regex' };
+    }
+    return { rule: { type: 'regex', value: regexMatch[1] }, error: null };
+  }
+
+  const cidrMatch = trimmed.match(/^([\d.]+)\/(\d{1,2})$/);
+  if (cidrMatch) {
+    if (ipv4ToInt(cidrMatch[1]) === null || Number(cidrMatch[2]) > 32) {
+      return { rule: null, error: 'bypass_rule_invalid_cidr' };
+    }
+    return { rule: { type: 'cidr', value: trimmed }, error: null };
+  }
+
+  if (trimmed.startsWith('*.')) {
+    const host = normalizeHostname(trimmed.slice(2));
+    if (!host) return { rule: null, error: 'bypass_rule_invalid_host' };
+    return { rule: { type: 'wildcard', value: `*.${host}` }, error: null };
+  }
+
+  if (trimmed.includes('/')) {
+    if (/\s/.test(trimmed) || /^[a-z]+:\/\//i.test(trimmed)) {
+      return { rule: null, error: 'bypass_rule_invalid_path' };
+    }
+    return { rule: { type: 'path', value: trimmed.toLowerCase() }, error: null };
+  }
+
+  const host = normalizeHostname(trimmed);
+  if (!host || host !== trimmed.toLowerCase()) {
+    return { rule: null, error: 'bypass_rule_invalid_host' };
+  }
+  return { rule: { type: 'host', value: host }, error: null };
+}
+
+/**
+ * 迁移旧版字符串规则（旧规则按子串匹配 URL）
+ * 能识别为域名的迁移为 *.域名 通配，旧规则 github.com 同样命中的 gist.github.com 不受影响；
+ * IP 地址迁移为精确主机名，192.168. 之类的 IP 前缀迁移为 CIDR；其余转为等价的正则，保留原有子串语义
+ *
+ * @param {string} text - 旧规则
+ * @returns {Object|null}
+ */
+function migrateLegacyBypassPattern(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+
+  const prefixMatch = trimmed.match(/^(\d{1,3}(?:\.\d{1,3}){0,2})\.$/);
+  if (prefixMatch) {
+    const octets = prefixMatch[1].split('.');
+    const base = [...octets, '0', '0', '0'].slice(0, 4).join('.');
+    if (ipv4ToInt(base) !== null) {
+      return { type: 'cidr', value: `${base}/${octets.length * 8}` };
+    }
+  }
+
+  const { rule } = parseBypassRule(trimmed);
+  if (rule && rule.type === 'host' && ipv4ToInt(rule.value) === null) {
+    return { type: 'wildcard', value: `*.${rule.value}` };
+  }
+  if (rule && rule.type !== 'path') return rule;
+
+  return { type: 'regex', value: trimmed.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') };
+}
+
+/**
+ * 校验已保存的规则对象
+ * @param {Object} rule
+ * @returns {boolean}
+ */
+function isValidBypassRule(rule) {
+  return Boolean(rule && BYPASS_RULE_TYPES.includes(rule.type) && typeof rule.value === 'string' && rule.value);
+}
+
+/**
+ * 规则的显示文本
+ * @param {Object} rule
+ * @returns {string}
+ */
+function formatBypassRule(rule) {
+  return rule.type === 'regex' ? `/${rule.value}/` : rule.value;
+}
+
+// ==================== 匹配 ====================
+
+/**
+ * 判断单条规则是否命中
+ * @param {Object} rule - {type, value}
+ * @param {URL} urlObj
+ * @returns {boolean}
+ */
+function matchBypassRule(rule, urlObj) {
+  const hostname = urlObj.hostname.toLowerCase();
+
+  switch (rule.type) {
+    case 'host':
+      return hostname === rule.value;
+    case 'wildcard': {
+      const suffix = rule.value.slice(2);
+      return hostname === suffix || hostname.endsWith(`.${suffix}`);
+    }
+    case 'path': {
+      const target = rule.value.startsWith('/') ? urlObj.pathname : hostname + urlObj.pathname;
+      return globToRegExp(rule.value).test(target);
+    }
+    case 'regex':
+      try {
+        return new RegExp(rule.value, 'i').test(urlObj.href);
+      } catch (e) {
+        return false;
+      }
+    case 'cidr': {
+      const ip = ipv4ToInt(hostname);
+      const [base, bits] = rule.value.split('/');
+      const baseIp = ipv4ToInt(base);
+      if (ip === null || baseIp === null) return false;
+
+      const size = 2 ** (32 - Number(bits));
+      return Math.floor(ip / size) === Math.floor(baseIp / size);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * 查找命中的第一条规则
+ * @param {string} url - 待检查的 URL
+ * @param {Object[]} rules - 规则列表
+ * @returns {Object|null} 命中的规则或 null
+ */
+function findBypassRule(url, rules) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  return rules.find(rule => isValidBypassRule(rule) && matchBypassRule(rule, urlObj)) || null;
+}
+
+// ==================== 存储读写 ====================
+
+/**
+ * 读取用户自定义规则
+ * @returns {Promise<Object[]>}
+ */
+async function getCustomBypassRules() {
+  const result = await browserAPI.storage.sync.get({ [BYPASS_RULES_STORAGE_KEY]: [] });
+  return result[BYPASS_RULES_STORAGE_KEY].filter(isValidBypassRule);
+}
+
+/**
+ * 读取全部规则（默认 + 自定义）
+ * @returns {Promise<Object[]>}
+ */
+async function getBypassRules() {
+  return [...DEFAULT_BYPASS_RULES, ...(await getCustomBypassRules())];
+}
+
+/**
+ * 将旧版字符串规则迁移为类型化规则（迁移后删除旧 key）
+ * @returns {Promise<number>} 迁移的条数
+ */
+async function migrateBypassPatterns() {
+  const result = await browserAPI.storage.sync.get({
+    [LEGACY_BYPASS_PATTERNS_KEY]: null,
+    [BYPASS_RULES_STORAGE_KEY]: []
+  });
+
+  const legacy = result[LEGACY_BYPASS_PATTERNS_KEY];
+  if (!Array.isArray(legacy)) return 0;
+
+  const rules = result[BYPASS_RULES_STORAGE_KEY];
+  const seen = new Set(rules.map(formatBypassRule));
+  let migrated = 0;
+
+  for (const text of legacy) {
+    const rule = migrateLegacyBypassPattern(text);
+    if (!rule || seen.has(formatBypassRule(rule))) continue;
+    seen.add(formatBypassRule(rule));
+    rules.push(rule);
+    migrated += 1;
+  }
+
+  await browserAPI.storage.sync.set({ [BYPASS_RULES_STORAGE_KEY]: rules });
+  await browserAPI.storage.sync.remove(LEGACY_BYPASS_PATTERNS_KEY);
+  return migrated;
+}
+
+// ==================== 内网主机 ====================
+
+/**
+ * 成功加载过的单标签主机（如 wiki、jira），存储在 storage.local
+ * 这类主机临时无法解析（如 VPN 断开）时也不拦截
+ */
+const INTRANET_HOSTS_STORAGE_KEY = 'intranetHosts';
+
+/**
+ * 最多记住的内网主机数
+ */
+const INTRANET_HOSTS_MAX = 100;
+
+/**
+ * 是否为单标签主机名（不含点号，也不是 IPv6 地址）
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isSingleLabelHost(hostname) {
+  return Boolean(hostname) && !hostname.includes('.') && !hostname.includes(':') && !hostname.startsWith('[');
+}
+
+/**
+ * 读取已识别的内网主机
+ * @returns {Promise<string[]>}
+ */
+async function getIntranetHosts() {
+  const result = await browserAPI.storage.local.get({ [INTRANET_HOSTS_STORAGE_KEY]: [] });
+  return result[INTRANET_HOSTS_STORAGE_KEY];
+}
+
+/**
+ * 记住一个成功加载的单标签主机（最近的排在最后）
+ * @param {string} hostname
+ * @returns {Promise<void>}
+ */
+async function learnIntranetHost(hostname) {
+  const host = hostname.toLowerCase();
+  if (!isSingleLabelHost(host)) return;
+
+  const hosts = await getIntranetHosts();
+  if (hosts[hosts.length - 1] === host) return;
+
+  const next = [...hosts.filter(item => item !== host), host].slice(-INTRANET_HOSTS_MAX);
+  await browserAPI.storage.local.set({ [INTRANET_HOSTS_STORAGE_KEY]: next });
+}
+
+/**
+ * 忘记一个内网主机
+ * @param {string} hostname
+ * @returns {Promise<void>}
+ */
+async function forgetIntranetHost(hostname) {
+  const hosts = await getIntranetHosts();
+  await browserAPI.storage.local.set({
+    [INTRANET_HOSTS_STORAGE_KEY]: hosts.filter(item => item !== hostname)
+  });
+}
+
+// ==================== 不再跳转列表 ====================
+
+/**
+ * 用户在返回提示中选择“不再跳转”的条目（storage.sync）
+ * - query: 搜索词，命中后搜索引擎跳转不再处理
+ * - host: 单标签主机，DNS 解析失败后不再当作仓库跳转
+ */
+const REDIRECT_SUPPRESSIONS_KEY = 'redirectSuppressions';
+
+/**
+ * 最多保留的条目数，超出时丢弃最早的条目
+ */
+const REDIRECT_SUPPRESSIONS_MAX = 100;
+
+/**
+ * 列表序列化后的字节上限：整个列表存在一个 storage.sync key 中，
+ * 需低于单个 key 的配额（QUOTA_BYTES_PER_ITEM = 8192），否则写入会被拒绝
+ */
+const REDIRECT_SUPPRESSIONS_MAX_BYTES = 6144;
+
+/**
+ * 规范化条目值：搜索词忽略大小写和多余空白，主机名转小写
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeSuppressionValue(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 判断是否在不再跳转列表中
+ * @param {Object[]} suppressions - 条目列表 {type, value}
+ * @param {string} type - 'query' | 'host'
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRedirectSuppressed(suppressions, type, value) {
+  const normalized = normalizeSuppressionValue(value);
+  return suppressions.some(item => item.type === type && item.value === normalized);
+}
+
+/**
+ * 按条目数和字节上限裁剪列表，优先丢弃最早的条目
+ * @param {Object[]} suppressions - 条目列表（最近的排在最后）
+ * @returns {Object[]}
+ */
+function trimRedirectSuppressions(suppressions) {
+  const list = suppressions.slice(-REDIRECT_SUPPRESSIONS_MAX);
+  const encoder = new TextEncoder();
+  const byteSize = () => encoder.encode(REDIRECT_SUPPRESSIONS_KEY + JSON.stringify(list)).length;
+
+  while (list.length > 0 && byteSize() > REDIRECT_SUPPRESSIONS_MAX_BYTES) {
+    list.shift();
+  }
+  return list;
+}
+
+/**
+ * 读取不再跳转列表
+ * @returns {Promise<Object[]>}
+ */
+async function getRedirectSuppressions() {
+  const result = await browserAPI.storage.sync.get({ [REDIRECT_SUPPRESSIONS_KEY]: [] });
+  return result[REDIRECT_SUPPRESSIONS_KEY];
+}
+
+/**
+ * 加入不再跳转列表
+ * @param {string} type - 'query' | 'host'
+ * @param {string} value
+ * @returns {Promise<boolean>} 是否新增（条目过长无法保存时返回 false）
+ */
+async function addRedirectSuppression(type, value) {
+  const normalized = normalizeSuppressionValue(value);
+  if (!['query', 'host'].includes(type) || !normalized) return false;
+
+  const suppressions = await getRedirectSuppressions();
+  if (isRedirectSuppressed(suppressions, type, normalized)) return false;
+
+  const entry = { type, value: normalized, timestamp: Date.now() };
+  if (trimRedirectSuppressions([entry]).length === 0) return false;
+
+  await browserAPI.storage.sync.set({
+    [REDIRECT_SUPPRESSIONS_KEY]: trimRedirectSuppressions([...suppressions, entry])
+  });
+  return true;
+}
+
+/**
+ * 从不再跳转列表中移除（按类型和值匹配，列表在别处被修改后也不会删错条目）
+ * @param {string} type - 'query' | 'host'
+ * @param {string} value
+ * @returns {Promise<void>}
+ */
+async function removeRedirectSuppression(type, value) {
+  const normalized = normalizeSuppressionValue(value);
+  const suppressions = await getRedirectSuppressions();
+  await browserAPI.storage.sync.set({
+    [REDIRECT_SUPPRESSIONS_KEY]: suppressions.filter(item => item.type !== type || item.value !== normalized)
+  });
+}
@@ -0,0 +1,266 @@
+/**
+ * OpenIn - 离线仓库补全模块
+ *
+ * 由打开历史和用户导入的收藏仓库构建补全索引，
+ * 对 omnibox 中的部分输入（如 vercel/ne）做模糊匹配并高亮命中字符。
+ * 依赖 platforms.js、history.js 以及全局 browserAPI。
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 收藏仓库的存储 key（storage.local，导入列表可能较大，不放 sync）
+ */
+const FAVORITES_STORAGE_KEY = 'favoriteRepos';
+
+/**
+ * 收藏仓库最多保留的条数
+ */
+const FAVORITES_MAX_ENTRIES = 2000;
+
+/**
+ * 收藏条目的固定权重（历史条目的权重由 frecency 决定）
+ */
+const FAVORITE_WEIGHT = 2;
+
+/**
+ * 视为词边界的字符，边界处命中加分
+ */
+const WORD_BOUNDARY_CHARS = '/-_.@ ';
+
+// ==================== 索引 ====================
+
+/**
+ * 由历史和收藏构建补全索引（同一仓库只保留一条，权重取较大值）
+ * @param {Object[]} historyEntries - 历史条目
+ * @param {Object[]} favorites - 收藏条目 {platform, owner, repo}
+ * @returns {Object[]} 索引项 {platform, owner, repo, name, source, weight}
+ */
+function buildCompletionIndex(historyEntries, favorites) {
+  const now = Date.now();
+  const index = new Map();
+
+  function add(entry, source, weight) {
+    const key = getHistoryEntryKey(entry);
+    const existing = index.get(key);
+    if (existing && existing.weight >= weight) return;
+
+    index.set(key, {
+      platform: entry.platform,
+      owner: entry.owner,
+      repo: entry.repo || '',
+      name: getHistoryEntryName(entry),
+      source,
+      weight
+    });
+  }
+
+  favorites.forEach(entry => add(entry, 'favorite', FAVORITE_WEIGHT));
+  historyEntries.forEach(entry => add(entry, 'history', 1 + Math.log10(1 + frecencyScore(entry, now))));
+
+  return [...index.values()];
+}
+
+// ==================== 模糊匹配 ====================
+
+/**
+ * 模糊匹配：query 的字符需按顺序出现在 text 中
+ * 连续子串优先；否则逐字符匹配，连续命中和词边界命中加分
+ *
+ * @param {string} query - 用户输入
+ * @param {string} text - 候选文本
+ * @returns {{score: number, indices: number[]}|null}
+ */
+function fuzzyMatch(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  if (!q || q.length > t.length) return null;
+
+  const isBoundary = i => i === 0 || WORD_BOUNDARY_CHARS.includes(t[i - 1]);
+
+  // 1. 连续子串：开头 > 词边界 > 任意位置
+  const substringAt = t.indexOf(q);
+  if (substringAt !== -1) {
+    const indices = Array.from(q, (_, i) => substringAt + i);
+    let score = 60;
+    if (substringAt === 0) {
+      score = 100;
+    } else if (isBoundary(substringAt)) {
+      score = 80;
+    }
+    return { score: score + q.length - t.length * 0.1, indices };
+  }
+
+  // 2. 子序列：非连续命中时，若后面的词边界处也有该字符且不影响后续匹配，则选用边界处
+  const isSubsequence = (chars, start) => {
+    let pos = start;
+    for (const char of chars) {
+      pos = t.indexOf(char, pos);
+      if (pos === -1) return false;
+      pos += 1;
+    }
+    return true;
+  };
+
+  const indices = [];
+  let from = 0;
+  for (let qi = 0; qi < q.length; qi++) {
+    const char = q[qi];
+    const first = t.indexOf(char, from);
+    if (first === -1) return null;
+
+    let pos = first;
+    const consecutive = indices.length > 0 && first === indices[indices.length - 1] + 1;
+    if (!consecutive && !isBoundary(first)) {
+      for (let i = first + 1; i < t.length; i++) {
+        if (t[i] === char && isBoundary(i) && isSubsequence(q.slice(qi + 1), i + 1)) {
+          pos = i;
+          break;
+        }
+      }
+    }
+
+    indices.push(pos);
+    from = pos + 1;
+  }
+
+  let score = 10;
+  indices.forEach((pos, i) => {
+    if (i > 0 && pos === indices[i - 1] + 1) score += 5;
+    if (isBoundary(pos)) score += 3;
+  });
+  score -= (indices[indices.length - 1] - indices[0] + 1 - indices.length) * 0.5;
+
+  return { score: score - t.length * 0.1, indices };
+}
+
+/**
+ * 从补全索引中找出最佳匹配
+ * @param {Object[]} index - buildCompletionIndex 的返回值
+ * @param {string} query - 用户输入
+ * @param {number} limit - 返回数量上限
+ * @returns {Array<{item: Object, indices: number[]}>}
+ */
+function completeRepos(index, query, limit = 5) {
+  const q = query.trim();
+  if (!q) return [];
+
+  return index
+    .map((item) => {
+      const match = fuzzyMatch(q, item.name);
+      return match ? { item, indices: match.indices, score: match.score * item.weight } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item, indices }) => ({ item, indices }));
+}
+
+/**
+ * 转义 omnibox 描述中的 XML 特殊字符
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeOmniboxXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 用 omnibox 的 <match> 标记包裹命中字符（连续命中合并为一段）
+ * @param {string} text - 候选文本
+ * @param {number[]} indices - 命中位置
+ * @returns {string} XML 描述片段
+ */
+function highlightMatches(text, indices) {
+  const hit = new Set(indices);
+  let result = '';
+  let inMatch = false;
+
+  Array.from(text).forEach((char, i) => {
+    if (hit.has(i) && !inMatch) {
+      result += '<match>';
+      inMatch = true;
+    } else if (!hit.has(i) && inMatch) {
+      result += '</match>';
+      inMatch = false;
+    }
+    result += escapeOmniboxXml(char);
+  });
+
+  return inMatch ? `${result}</match>` : result;
+}
+
+// ==================== 收藏导入 ====================
+
+/**
+ * 解析导入的收藏列表
+ * 支持每行一个 owner/repo 或仓库 URL，也支持 GitHub starred API 返回的 JSON 数组
+ *
+ * @param {string} text - 导入内容
+ * @returns {Object[]} 收藏条目 {platform, owner, repo}
+ */
+function parseFavoriteList(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  let lines;
+  try {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : [];
+    lines = items.map(item => (typeof item === 'string' ? item : item?.html_url || item?.full_name || ''));
+  } catch (e) {
+    lines = text.split(/[\s,]+/);
+  }
+
+  return lines
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => parsePlatformUrl(line) || parseRepoInput(line))
+    .filter(target => target && target.owner)
+    .map(({ platform, owner, repo }) => ({ platform, owner, repo: repo || '' }));
+}
+
+/**
+ * 读取收藏仓库
+ * @returns {Promise<Object[]>}
+ */
+async function getFavoriteRepos() {
+  const result = await browserAPI.storage.local.get({ [FAVORITES_STORAGE_KEY]: [] });
+  return result[FAVORITES_STORAGE_KEY];
+}
+
+/**
+ * 导入收藏仓库（与已有收藏合并去重）
+ * @param {string} text - 导入内容
+ * @returns {Promise<number>} 新增条数
+ */
+async function importFavoriteRepos(text) {
+  const favorites = await getFavoriteRepos();
+  const keys = new Set(favorites.map(getHistoryEntryKey));
+
+  let added = 0;
+  for (const entry of parseFavoriteList(text)) {
+    const key = getHistoryEntryKey(entry);
+    if (keys.has(key)) continue;
+    keys.add(key);
+    favorites.push(entry);
+    added += 1;
+  }
+
+  await browserAPI.storage.local.set({
+    [FAVORITES_STORAGE_KEY]: favorites.slice(-FAVORITES_MAX_ENTRIES)
+  });
+  return added;
+}
+
+/**
+ * 清空收藏仓库
+ * @returns {Promise<void>}
+ */
+async function clearFavoriteRepos() {
+  await browserAPI.storage.local.remove(FAVORITES_STORAGE_KEY);
+}
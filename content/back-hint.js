@@ -6,31 +6,50 @@
 
   const { api, readTimedStorage, clearTimedStorage, toast, getPlatformMeta } = OpenIn;
 
-  const settings = await api.storage.sync.get({ searchRedirectMode: 'autoJump' });
-  if (settings.searchRedirectMode !== 'autoJump') return;
-
   const sourceData = await readTimedStorage('repo_source', 5000);
   if (!sourceData) return;
 
+  // 搜索来源只在自动跳转模式下出现；地址栏（DNS 拦截）总是直接跳转，不受该模式影响
+  if (sourceData.source !== 'dns') {
+    const settings = await api.storage.sync.get({ searchRedirectMode: 'autoJump' });
+    if (settings.searchRedirectMode !== 'autoJump') return;
+  }
+
   const meta = getPlatformMeta(sourceData.platform);
   const platformLabel = meta.name || sourceData.platform || 'GitHub';
+  const fromAddress = sourceData.source === 'dns';
+
+  const actions = [{
+    label: api.i18n.getMessage('back_to_search'),
+    primary: true,
+    dismiss: false,
+    onClick: () => {
+      window.location.href = sourceData.url;
+    }
+  }];
+
+  // 误跳转时加入不再跳转列表后返回：搜索来源记录搜索词，地址栏来源（如内网主机 wiki/page）记录主机名
+  actions.push({
+    label: api.i18n.getMessage(fromAddress ? 'never_redirect_host' : 'never_redirect_query'),
+    dismiss: false,
+    onClick: async () => {
+      await api.runtime.sendMessage({
+        action: 'suppressRedirect',
+        source: sourceData.source,
+        url: sourceData.url
+      });
+      window.location.href = sourceData.url;
+    }
+  });
 
   toast.show({
     id: 'openin-back-hint',
     platform: sourceData.platform,
-    title: api.i18n.getMessage('jumped_from_search', [platformLabel]),
-    actions: [{
-      label: api.i18n.getMessage('back_to_search'),
-      primary: true,
-      dismiss: false,
-      onClick: () => {
-        window.location.href = sourceData.url;
-      }
-    }],
+    title: api.i18n.getMessage(fromAddress ? 'jumped_from_address' : 'jumped_from_search', [platformLabel]),
+    actions,
     onShortcut: () => {
       window.location.href = sourceData.url;
     },
-    shortcut: 'Tab',
     ttl: 10000
   });
 
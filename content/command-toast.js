@@ -0,0 +1,62 @@
+/**
+ * OpenIn - 快捷键命令提示
+ * 后台处理快捷键后，当前页的提示通过消息送达，新打开标签页的提示经由带时间戳的存储在加载后显示
+ */
+(async function initCommandToast() {
+  'use strict';
+
+  const { api, readTimedStorage, clearTimedStorage, toast } = OpenIn;
+
+  /**
+   * 写入剪贴板，Clipboard API 不可用（页面未聚焦等）时退回 execCommand
+   * @param {string} text - 待复制文本
+   * @returns {Promise<boolean>}
+   */
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (e) {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.setAttribute('readonly', '');
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      (document.body || document.documentElement).appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      return copied;
+    }
+  }
+
+  function showCommandToast({ platform, title, highlight }) {
+    toast.show({
+      id: 'openin-command-toast',
+      platform,
+      title,
+      highlight,
+      ttl: 4000
+    });
+  }
+
+  api.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action !== 'showCommandToast') return false;
+
+    (async () => {
+      const data = { ...request.toast };
+      if (data.copyText && !(await copyText(data.copyText))) {
+        data.title = api.i18n.getMessage('command_copy_failed');
+      }
+      showCommandToast(data);
+      sendResponse({ shown: true });
+    })();
+    return true;
+  });
+
+  const pending = await readTimedStorage('command_toast', 10000);
+  if (!pending) return;
+
+  await clearTimedStorage('command_toast');
+  showCommandToast(pending);
+})();
@@ -56,12 +56,28 @@
     return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
   };
 
-  OpenIn.onTabKey = function onTabKey(handler) {
+  // 焦点是否在页面的某个控件上（而不是停留在页面本身）
+  OpenIn.hasFocusedControl = function hasFocusedControl() {
+    const el = document.activeElement;
+    return Boolean(el) && el !== document.body && el !== document.documentElement;
+  };
+
+  // 监听提示框快捷键（shortcuts.js 的组合，如 Tab、Alt+J）
+  // Tab 只在焦点位于提示框内（isFocusInside）时响应，页面本身的 Tab 焦点切换不受影响；
+  // 其他不带 Ctrl/Alt/Meta 的按键只在焦点停留在页面本身时响应，不抢占页面控件和读屏软件的按键
+  OpenIn.onShortcut = function onShortcut(combo, handler, isFocusInside = () => false) {
+    const shortcut = parseShortcut(combo) || parseShortcut(DEFAULT_TOAST_SHORTCUT);
+    const hasModifier = shortcut.ctrlKey || shortcut.altKey || shortcut.metaKey;
+    const focusScoped = isFocusScopedShortcut(shortcut);
+
     const listener = (event) => {
-      if (event.key !== 'Tab' || event.shiftKey || event.ctrlKey || event.altKey || event.metaKey) {
-        return;
+      if (!matchShortcut(event, shortcut)) return;
+      if (focusScoped) {
+        if (!isFocusInside()) return;
+      } else {
+        if (OpenIn.isTypingContext()) return;
+        if (!hasModifier && OpenIn.hasFocusedControl()) return;
       }
-      if (OpenIn.isTypingContext()) return;
       event.preventDefault();
       handler(event);
     };
@@ -70,22 +86,27 @@
     return () => document.removeEventListener('keydown', listener);
   };
 
-  OpenIn.PLATFORM_META = {
-    github: { abbr: 'GH', color: '#58a6ff', name: 'GitHub' },
-    gitlab: { abbr: 'GL', color: '#fc6d26', name: 'GitLab' },
-    bitbucket: { abbr: 'BB', color: '#2684ff', name: 'Bitbucket' },
-    gitee: { abbr: 'GE', color: '#c71d23', name: 'Gitee' },
-    npm: { abbr: 'NP', color: '#cb3837', name: 'npm' },
-    docker: { abbr: 'DK', color: '#2496ed', name: 'Docker Hub' },
-    pypi: { abbr: 'PY', color: '#3775a9', name: 'PyPI' },
-    rubygems: { abbr: 'RB', color: '#e9573f', name: 'RubyGems' },
-    packagist: { abbr: 'PK', color: '#f28d1a', name: 'Packagist' },
-    crates: { abbr: 'CR', color: '#f74b00', name: 'crates.io' },
-    nuget: { abbr: 'NU', color: '#004880', name: 'NuGet' },
-    maven: { abbr: 'MV', color: '#c71a36', name: 'Maven' },
-    zerocat: { abbr: 'ZC', color: '#ff6600', name: 'ZeroCat' }
+  // 监听数字键 1–9（选择提示框中的候选项），与不带修饰键的快捷键一样，
+  // 焦点在页面控件上时不响应，焦点位于提示框内（isFocusInside）时除外
+  OpenIn.onDigitKey = function onDigitKey(handler, isFocusInside = () => false) {
+    const listener = (event) => {
+      if (!/^[1-9]$/.test(event.key) || event.ctrlKey || event.altKey || event.metaKey) {
+        return;
+      }
+      if (OpenIn.isTypingContext()) return;
+      if (OpenIn.hasFocusedControl() && !isFocusInside()) return;
+      if (handler(Number(event.key), event) !== false) {
+        event.preventDefault();
+      }
+    };
+
+    document.addEventListener('keydown', listener);
+    return () => document.removeEventListener('keydown', listener);
   };
 
+  // 平台名称、缩写和颜色来自 platform-meta.js（由构建脚本根据 PLATFORMS 生成，在 manifest 中先于本文件注入）
+  OpenIn.PLATFORM_META = OpenIn.PLATFORM_META || {};
+
   OpenIn.getPlatformMeta = function getPlatformMeta(platformKey) {
     return OpenIn.PLATFORM_META[platformKey] || {
       abbr: 'OI',
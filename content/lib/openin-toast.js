@@ -11,6 +11,23 @@
   const STYLE_ID = 'openin-toast-styles';
   const HOST_ID = 'openin-toast-host';
 
+  // 外观设置（storage.sync，在选项页修改）
+  const TOAST_SETTING_DEFAULTS = {
+    toastPosition: 'top-right',
+    toastTheme: 'dark',
+    toastMaxVisible: 3,
+    toastReduceMotion: false,
+    [TOAST_SHORTCUT_STORAGE_KEY]: DEFAULT_TOAST_SHORTCUT
+  };
+  const TOAST_POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+  const TOAST_THEMES = ['dark', 'light', 'auto'];
+  const TOAST_MAX_VISIBLE_LIMIT = 5;
+
+  // live region 清空后再写入的间隔，保证读屏软件感知到变化
+  const ANNOUNCE_DELAY_MS = 100;
+
+  let toastSeq = 0;
+
   const TOAST_CSS = `
     :host {
       all: initial;
@@ -21,6 +38,7 @@
       top: 20px;
       right: 20px;
       z-index: 2147483647;
+      --enter-x: 28px;
       display: flex;
       flex-direction: column;
       gap: 12px;
@@ -28,8 +46,35 @@
       font-family: "Segoe UI", ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, sans-serif;
     }
 
+    .viewport[data-position^="bottom"] {
+      top: auto;
+      bottom: 20px;
+      flex-direction: column-reverse;
+    }
+
+    .viewport[data-position$="left"] {
+      right: auto;
+      left: 20px;
+      --enter-x: -28px;
+    }
+
+    .toast:focus {
+      outline: none;
+    }
+
     .toast {
       --accent: #58a6ff;
+      --surface-top: rgba(22, 27, 34, 0.94);
+      --surface-bottom: rgba(13, 17, 23, 0.97);
+      --text: #e6edf3;
+      --text-strong: #f0f6fc;
+      --text-soft: #c9d1d9;
+      --text-muted: #8b949e;
+      --fill: rgba(255, 255, 255, 0.06);
+      --fill-hover: rgba(255, 255, 255, 0.09);
+      --line: rgba(255, 255, 255, 0.12);
+      --line-strong: rgba(255, 255, 255, 0.2);
+      --shadow: rgba(0, 0, 0, 0.42);
       --accent-soft: color-mix(in srgb, var(--accent) 18%, transparent);
       --accent-glow: color-mix(in srgb, var(--accent) 35%, transparent);
       position: relative;
@@ -39,16 +84,16 @@
       overflow: hidden;
       background:
         radial-gradient(120% 140% at 100% 0%, var(--accent-soft), transparent 55%),
-        linear-gradient(145deg, rgba(22, 27, 34, 0.94) 0%, rgba(13, 17, 23, 0.97) 100%);
-      border: 1px solid color-mix(in srgb, var(--accent) 28%, rgba(255, 255, 255, 0.08));
+        linear-gradient(145deg, var(--surface-top) 0%, var(--surface-bottom) 100%);
+      border: 1px solid color-mix(in srgb, var(--accent) 28%, var(--line));
       box-shadow:
-        0 0 0 1px rgba(255, 255, 255, 0.03) inset,
-        0 18px 40px rgba(0, 0, 0, 0.42),
+        0 0 0 1px var(--fill) inset,
+        0 18px 40px var(--shadow),
         0 0 24px var(--accent-glow);
       backdrop-filter: blur(16px) saturate(140%);
       -webkit-backdrop-filter: blur(16px) saturate(140%);
-      color: #e6edf3;
-      transform: translateX(28px) scale(0.96);
+      color: var(--text);
+      transform: translateX(var(--enter-x)) scale(0.96);
       opacity: 0;
       animation: openin-enter 420ms cubic-bezier(0.22, 1, 0.36, 1) forwards;
     }
@@ -66,7 +111,7 @@
 
     @keyframes openin-leave {
       to {
-        transform: translateX(24px) scale(0.96);
+        transform: translateX(var(--enter-x)) scale(0.96);
         opacity: 0;
       }
     }
@@ -111,7 +156,7 @@
       margin: 0 0 4px;
       font-size: 13px;
       line-height: 1.45;
-      color: #c9d1d9;
+      color: var(--text-soft);
       font-weight: 500;
       letter-spacing: 0.01em;
     }
@@ -124,9 +169,9 @@
       font-family: ui-monospace, "Cascadia Code", "SF Mono", Consolas, monospace;
       font-size: 12px;
       font-weight: 600;
-      color: #f0f6fc;
-      background: rgba(255, 255, 255, 0.06);
-      border: 1px solid rgba(255, 255, 255, 0.08);
+      color: var(--text-strong);
+      background: var(--fill);
+      border: 1px solid var(--line);
       word-break: break-all;
     }
 
@@ -140,9 +185,9 @@
 
     .btn {
       appearance: none;
-      border: 1px solid rgba(255, 255, 255, 0.12);
-      background: rgba(255, 255, 255, 0.04);
-      color: #e6edf3;
+      border: 1px solid var(--line);
+      background: var(--fill);
+      color: var(--text);
       border-radius: 8px;
       padding: 6px 12px;
       font-size: 12px;
@@ -153,20 +198,20 @@
     }
 
     .btn:hover {
-      background: rgba(255, 255, 255, 0.09);
-      border-color: rgba(255, 255, 255, 0.2);
+      background: var(--fill-hover);
+      border-color: var(--line-strong);
       transform: translateY(-1px);
     }
 
     .btn-primary {
-      background: color-mix(in srgb, var(--accent) 82%, #0d1117);
+      background: color-mix(in srgb, var(--accent) 82%, var(--surface-bottom));
       border-color: color-mix(in srgb, var(--accent) 70%, transparent);
       color: #fff;
       box-shadow: 0 6px 16px color-mix(in srgb, var(--accent) 28%, transparent);
     }
 
     .btn-primary:hover {
-      background: color-mix(in srgb, var(--accent) 92%, #0d1117);
+      background: color-mix(in srgb, var(--accent) 92%, var(--surface-bottom));
       border-color: var(--accent);
     }
 
@@ -178,12 +223,84 @@
       border-radius: 8px;
       font-size: 11px;
       font-weight: 700;
+      font-family: inherit;
       letter-spacing: 0.04em;
       text-transform: uppercase;
-      color: #f0f6fc;
-      background: rgba(255, 255, 255, 0.07);
-      border: 1px solid rgba(255, 255, 255, 0.14);
-      box-shadow: 0 1px 0 rgba(255, 255, 255, 0.06) inset;
+      color: var(--text-strong);
+      background: var(--fill);
+      border: 1px solid var(--line);
+      box-shadow: 0 1px 0 var(--fill) inset;
+    }
+
+    .choices {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      margin: 10px 0 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    .choice {
+      appearance: none;
+      width: 100%;
+      display: grid;
+      grid-template-columns: auto auto 1fr;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 8px;
+      border: 1px solid transparent;
+      border-radius: 8px;
+      background: transparent;
+      color: var(--text);
+      font: inherit;
+      font-size: 12px;
+      text-align: left;
+      cursor: pointer;
+      transition: background 160ms ease, border-color 160ms ease;
+    }
+
+    .choice:hover,
+    .choice:focus-visible {
+      background: var(--fill);
+      border-color: var(--line);
+      outline: none;
+    }
+
+    .choice .kbd {
+      padding: 2px 7px;
+    }
+
+    .choice-name {
+      font-weight: 600;
+      color: var(--choice-color);
+    }
+
+    .choice-detail {
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      color: var(--text-muted);
+      font-family: ui-monospace, "Cascadia Code", "SF Mono", Consolas, monospace;
+    }
+
+    .sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
+    }
+
+    .btn:focus-visible,
+    .close:focus-visible {
+      outline: 2px solid var(--accent);
+      outline-offset: 2px;
     }
 
     .close {
@@ -193,7 +310,7 @@
       border: none;
       border-radius: 8px;
       background: transparent;
-      color: #8b949e;
+      color: var(--text-muted);
       cursor: pointer;
       display: grid;
       place-items: center;
@@ -203,13 +320,13 @@
     }
 
     .close:hover {
-      background: rgba(255, 255, 255, 0.08);
-      color: #f0f6fc;
+      background: var(--fill-hover);
+      color: var(--text-strong);
     }
 
     .progress {
       height: 2px;
-      background: rgba(255, 255, 255, 0.06);
+      background: var(--fill);
       transform-origin: left center;
       animation: openin-progress linear forwards;
     }
@@ -219,6 +336,46 @@
       to { transform: scaleX(0); }
     }
 
+    /* 浅色主题；auto 跟随 prefers-color-scheme */
+    .viewport[data-theme="light"] .toast {
+      --surface-top: rgba(255, 255, 255, 0.96);
+      --surface-bottom: rgba(246, 248, 250, 0.98);
+      --text: #1f2328;
+      --text-strong: #0d1117;
+      --text-soft: #424a53;
+      --text-muted: #59636e;
+      --fill: rgba(31, 35, 40, 0.05);
+      --fill-hover: rgba(31, 35, 40, 0.09);
+      --line: rgba(31, 35, 40, 0.12);
+      --line-strong: rgba(31, 35, 40, 0.22);
+      --shadow: rgba(31, 35, 40, 0.16);
+    }
+
+    @media (prefers-color-scheme: light) {
+      .viewport[data-theme="auto"] .toast {
+        --surface-top: rgba(255, 255, 255, 0.96);
+        --surface-bottom: rgba(246, 248, 250, 0.98);
+        --text: #1f2328;
+        --text-strong: #0d1117;
+        --text-soft: #424a53;
+        --text-muted: #59636e;
+        --fill: rgba(31, 35, 40, 0.05);
+        --fill-hover: rgba(31, 35, 40, 0.09);
+        --line: rgba(31, 35, 40, 0.12);
+        --line-strong: rgba(31, 35, 40, 0.22);
+        --shadow: rgba(31, 35, 40, 0.16);
+      }
+    }
+
+    /* 减少动画：系统设置或选项开启时生效 */
+    .viewport[data-reduce-motion="true"] .toast,
+    .viewport[data-reduce-motion="true"] .toast.is-leaving,
+    .viewport[data-reduce-motion="true"] .progress {
+      animation: none !important;
+      transform: none !important;
+      opacity: 1 !important;
+    }
+
     @media (prefers-reduced-motion: reduce) {
       .toast,
       .toast.is-leaving,
@@ -237,6 +394,105 @@
       this.viewport = null;
       this.active = new Map();
       this.cleanups = new Map();
+      this.queue = [];
+      this.liveRegion = null;
+      this.settings = { ...TOAST_SETTING_DEFAULTS };
+      // 设置读取完成前的提示先排队，避免先按默认位置和快捷键显示
+      this.ready = false;
+      this.loadSettings();
+    }
+
+    /**
+     * 读取外观设置，并在选项页修改后即时生效
+     */
+    loadSettings() {
+      const storage = OpenIn.api?.storage;
+      if (!storage?.sync) {
+        this.applySettings(TOAST_SETTING_DEFAULTS);
+        return;
+      }
+
+      storage.sync.get(TOAST_SETTING_DEFAULTS)
+        .then((result) => this.applySettings(result))
+        .catch(() => this.applySettings(TOAST_SETTING_DEFAULTS));
+
+      storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync') return;
+
+        const keys = Object.keys(TOAST_SETTING_DEFAULTS).filter(key => changes[key]);
+        if (keys.length === 0) return;
+
+        const next = { ...this.settings };
+        keys.forEach((key) => {
+          next[key] = changes[key].newValue;
+        });
+        this.applySettings(next);
+      });
+    }
+
+    /**
+     * 校验并应用外观设置
+     * @param {Object} settings - 存储中的设置
+     */
+    applySettings(settings) {
+      const maxVisible = parseInt(settings.toastMaxVisible, 10);
+      this.settings = {
+        toastPosition: TOAST_POSITIONS.includes(settings.toastPosition)
+          ? settings.toastPosition
+          : TOAST_SETTING_DEFAULTS.toastPosition,
+        toastTheme: TOAST_THEMES.includes(settings.toastTheme)
+          ? settings.toastTheme
+          : TOAST_SETTING_DEFAULTS.toastTheme,
+        toastMaxVisible: maxVisible >= 1
+          ? Math.min(maxVisible, TOAST_MAX_VISIBLE_LIMIT)
+          : TOAST_SETTING_DEFAULTS.toastMaxVisible,
+        toastReduceMotion: Boolean(settings.toastReduceMotion),
+        [TOAST_SHORTCUT_STORAGE_KEY]: parseShortcut(settings[TOAST_SHORTCUT_STORAGE_KEY])
+          ? settings[TOAST_SHORTCUT_STORAGE_KEY]
+          : DEFAULT_TOAST_SHORTCUT
+      };
+      this.ready = true;
+
+      this.applyViewportSettings();
+      this.flushQueue();
+    }
+
+    applyViewportSettings() {
+      if (!this.viewport) return;
+
+      this.viewport.dataset.position = this.settings.toastPosition;
+      this.viewport.dataset.theme = this.settings.toastTheme;
+      this.viewport.dataset.reduceMotion = String(this.settings.toastReduceMotion);
+    }
+
+    /**
+     * 是否减少动画：选项开启或系统设置了 prefers-reduced-motion
+     * @returns {boolean}
+     */
+    prefersReducedMotion() {
+      if (this.settings.toastReduceMotion) return true;
+      return Boolean(global.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * 当前显示中（不含正在离开）的数量
+     * @returns {number}
+     */
+    getVisibleCount() {
+      let count = 0;
+      this.active.forEach((record) => {
+        if (!record.leaving) count += 1;
+      });
+      return count;
+    }
+
+    /**
+     * 有空位时依次显示排队中的提示
+     */
+    flushQueue() {
+      while (this.ready && this.queue.length > 0 && this.getVisibleCount() < this.settings.toastMaxVisible) {
+        this.render(this.queue.shift());
+      }
     }
 
     ensureHost() {
@@ -253,14 +509,27 @@
 
       this.viewport = document.createElement('div');
       this.viewport.className = 'viewport';
+      this.applyViewportSettings();
       this.shadow.appendChild(this.viewport);
 
+      // 读屏播报：提示框插入时已带内容，单独的 live region 才能可靠地朗读
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'sr-only';
+      this.liveRegion.setAttribute('role', 'status');
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      this.shadow.appendChild(this.liveRegion);
+
       (document.documentElement || document.body).appendChild(this.host);
     }
 
     dismiss(id) {
+      // 尚在排队的提示直接移出队列
+      this.queue = this.queue.filter(options => options.id !== id);
+
       const record = this.active.get(id);
-      if (!record) return;
+      if (!record || record.leaving) return;
+      record.leaving = true;
 
       const cleanup = this.cleanups.get(id);
       if (cleanup) {
@@ -272,44 +541,89 @@
         clearTimeout(record.timer);
       }
 
-      record.el.classList.add('is-leaving');
-      record.el.addEventListener('animationend', () => {
+      // 焦点在提示框内时交还给进入前的元素，避免焦点丢失到页面顶部
+      if (record.el.contains(this.shadow?.activeElement) && record.returnFocus?.isConnected) {
+        record.returnFocus.focus();
+      }
+
+      const remove = () => {
         record.el.remove();
-        this.active.delete(id);
-        if (this.active.size === 0 && this.host?.isConnected) {
+        // 同一 id 可能已被新的提示替换
+        if (this.active.get(id) === record) {
+          this.active.delete(id);
+        }
+        if (this.active.size === 0 && this.queue.length === 0 && this.host?.isConnected) {
           this.host.remove();
           this.host = null;
           this.shadow = null;
           this.viewport = null;
+          this.liveRegion = null;
         }
-      }, { once: true });
+      };
+
+      // 减少动画时没有离场动画，animationend 不会触发
+      if (this.prefersReducedMotion()) {
+        remove();
+      } else {
+        record.el.classList.add('is-leaving');
+        record.el.addEventListener('animationend', remove, { once: true });
+      }
+
+      this.flushQueue();
     }
 
+    /**
+     * 显示提示；已达到同时显示上限时排队，前面的提示关闭后再显示
+     * @param {Object} options - {id, platform, title, highlight, actions, choices, shortcut, ttl, onClose, onShortcut}
+     * @returns {string} 提示 id
+     */
     show(options) {
+      const { id } = options;
+
+      if (this.active.has(id)) {
+        this.dismiss(id);
+      }
+      this.queue = this.queue.filter(item => item.id !== id);
+
+      if (!this.ready || this.getVisibleCount() >= this.settings.toastMaxVisible) {
+        this.queue.push(options);
+        return id;
+      }
+
+      return this.render(options);
+    }
+
+    render(options) {
       const {
         id,
         platform,
         title,
         highlight,
         actions = [],
+        choices = [],
         shortcut,
         ttl = 10000,
         onClose,
         onShortcut
       } = options;
 
-      if (this.active.has(id)) {
-        this.dismiss(id);
-      }
-
       this.ensureHost();
 
       const meta = OpenIn.getPlatformMeta(platform);
+      const { api } = OpenIn;
+      // 未指定组合键时使用选项页设置的快捷键
+      const combo = onShortcut || shortcut
+        ? parseShortcut(shortcut || this.settings[TOAST_SHORTCUT_STORAGE_KEY]) || parseShortcut(DEFAULT_TOAST_SHORTCUT)
+        : null;
+      const titleId = `${HOST_ID}-title-${++toastSeq}`;
+
       const toast = document.createElement('article');
       toast.className = 'toast';
       toast.style.setProperty('--accent', meta.color);
-      toast.setAttribute('role', 'status');
-      toast.setAttribute('aria-live', 'polite');
+      toast.setAttribute('role', 'group');
+      toast.setAttribute('aria-labelledby', titleId);
+      // 点击提示框即可获得焦点（不进入 Tab 顺序），快捷键为 Tab 时随后按 Tab 确认
+      toast.tabIndex = -1;
 
       const accent = document.createElement('div');
       accent.className = 'accent-bar';
@@ -328,6 +642,7 @@
 
       const titleEl = document.createElement('p');
       titleEl.className = 'title';
+      titleEl.id = titleId;
       titleEl.textContent = title;
       content.appendChild(titleEl);
 
@@ -338,7 +653,48 @@
         content.appendChild(highlightEl);
       }
 
-      const hasFooter = actions.length > 0 || shortcut;
+      // 候选列表：每项带 1–9 数字键
+      if (choices.length > 0) {
+        const list = document.createElement('ol');
+        list.className = 'choices';
+
+        choices.slice(0, 9).forEach((choice, index) => {
+          const choiceMeta = OpenIn.getPlatformMeta(choice.platform);
+          const item = document.createElement('li');
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = 'choice';
+          btn.style.setProperty('--choice-color', choiceMeta.color);
+
+          const kbd = document.createElement('span');
+          kbd.className = 'kbd';
+          kbd.textContent = String(index + 1);
+
+          const name = document.createElement('span');
+          name.className = 'choice-name';
+          name.textContent = choice.label || choiceMeta.name;
+
+          const detail = document.createElement('span');
+          detail.className = 'choice-detail';
+          detail.textContent = choice.detail || '';
+
+          btn.appendChild(kbd);
+          btn.appendChild(name);
+          btn.appendChild(detail);
+          btn.addEventListener('click', () => {
+            choice.onSelect?.();
+            this.dismiss(id);
+          });
+
+          item.appendChild(btn);
+          list.appendChild(item);
+        });
+
+        content.appendChild(list);
+      }
+
+      let primaryBtn = null;
+      const hasFooter = actions.length > 0 || combo;
       if (hasFooter) {
         const actionsEl = document.createElement('div');
         actionsEl.className = 'actions';
@@ -348,6 +704,9 @@
           btn.type = 'button';
           btn.className = action.primary ? 'btn btn-primary' : 'btn';
           btn.textContent = action.label;
+          if (action.primary && !primaryBtn) {
+            primaryBtn = btn;
+          }
           btn.addEventListener('click', () => {
             action.onClick?.();
             if (action.dismiss !== false) {
@@ -357,10 +716,10 @@
           actionsEl.appendChild(btn);
         });
 
-        if (shortcut) {
-          const kbd = document.createElement('span');
+        if (combo) {
+          const kbd = document.createElement('kbd');
           kbd.className = 'kbd';
-          kbd.textContent = shortcut;
+          kbd.textContent = formatShortcut(combo);
           actionsEl.appendChild(kbd);
         }
 
@@ -370,7 +729,7 @@
       const closeBtn = document.createElement('button');
       closeBtn.type = 'button';
       closeBtn.className = 'close';
-      closeBtn.setAttribute('aria-label', 'Close');
+      closeBtn.setAttribute('aria-label', api.i18n.getMessage('toast_close') || 'Close');
       closeBtn.textContent = '×';
       closeBtn.addEventListener('click', () => {
         onClose?.();
@@ -382,8 +741,14 @@
       body.appendChild(closeBtn);
       toast.appendChild(body);
 
+      // 快捷键触发的是主要操作；没有主要操作按钮时标注在提示框上
+      if (combo && onShortcut) {
+        (primaryBtn || toast).setAttribute('aria-keyshortcuts', formatShortcut(combo, true));
+      }
+
+      let progress = null;
       if (ttl > 0) {
-        const progress = document.createElement('div');
+        progress = document.createElement('div');
         progress.className = 'progress';
         progress.style.animationDuration = `${ttl}ms`;
         progress.style.background = `linear-gradient(90deg, ${meta.color}, color-mix(in srgb, ${meta.color} 55%, #fff))`;
@@ -392,31 +757,175 @@
 
       this.viewport.appendChild(toast);
 
+      const record = {
+        el: toast,
+        timer: null,
+        ttl,
+        remaining: ttl,
+        startedAt: 0,
+        progress,
+        holds: new Set(),
+        returnFocus: null,
+        onClose,
+        expire: () => {
+          onClose?.();
+          this.dismiss(id);
+        }
+      };
+
       const cleanupFns = [];
 
       if (onShortcut) {
-        const removeTab = OpenIn.onTabKey(() => {
+        const removeShortcut = OpenIn.onShortcut(formatShortcut(combo), () => {
           onShortcut();
           this.dismiss(id);
-        });
-        cleanupFns.push(removeTab);
+        }, () => toast.contains(this.shadow?.activeElement));
+        cleanupFns.push(removeShortcut);
       }
 
-      let timer = null;
-      if (ttl > 0) {
-        timer = setTimeout(() => {
-          onClose?.();
+      if (choices.length > 0) {
+        const removeDigit = OpenIn.onDigitKey((digit) => {
+          const choice = choices[digit - 1];
+          if (!choice || digit > 9) return false;
+          choice.onSelect?.();
           this.dismiss(id);
-        }, ttl);
+          return true;
+        }, () => toast.contains(this.shadow?.activeElement));
+        cleanupFns.push(removeDigit);
+      }
+
+      this.bindInteraction(record, id);
+
+      if (ttl > 0) {
+        this.startTimer(record);
       }
 
       this.cleanups.set(id, () => {
         cleanupFns.forEach((fn) => fn());
       });
 
-      this.active.set(id, { el: toast, timer });
+      this.active.set(id, record);
+
+      const hints = [];
+      if (choices.length > 0) {
+        hints.push(api.i18n.getMessage('toast_choices_hint', [String(Math.min(choices.length, 9))]));
+      }
+      if (combo && onShortcut) {
+        const hintKey = isFocusScopedShortcut(combo) ? 'toast_shortcut_hint_focus' : 'toast_shortcut_hint';
+        hints.push(api.i18n.getMessage(hintKey, [formatShortcut(combo)]));
+      }
+      this.announce([title, highlight, ...hints].filter(Boolean).join(' '));
+
       return id;
     }
+
+    /**
+     * 通过 live region 播报（先清空再写入，重复内容也会朗读）
+     * @param {string} text - 播报内容
+     */
+    announce(text) {
+      const region = this.liveRegion;
+      if (!region) return;
+
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = text;
+      }, ANNOUNCE_DELAY_MS);
+    }
+
+    startTimer(record) {
+      record.startedAt = Date.now();
+      record.timer = setTimeout(record.expire, Math.max(record.remaining, 0));
+    }
+
+    /**
+     * 鼠标悬停或焦点在提示框内时暂停倒计时
+     * @param {Object} record - 提示记录
+     * @param {string} reason - 'hover' | 'focus'
+     */
+    holdTimer(record, reason) {
+      if (record.ttl <= 0 || record.leaving) return;
+
+      if (record.holds.size === 0 && record.timer) {
+        clearTimeout(record.timer);
+        record.timer = null;
+        record.remaining -= Date.now() - record.startedAt;
+        if (record.progress) {
+          record.progress.style.animationPlayState = 'paused';
+        }
+      }
+      record.holds.add(reason);
+    }
+
+    releaseTimer(record, reason) {
+      if (!record.holds.delete(reason) || record.holds.size > 0 || record.leaving) return;
+
+      if (record.progress) {
+        record.progress.style.animationPlayState = 'running';
+      }
+      this.startTimer(record);
+    }
+
+    /**
+     * 悬停/焦点暂停倒计时，以及提示框内的键盘导航
+     * 方向键和 Home/End 在按钮间移动，Esc 关闭；快捷键为 Tab 时在提示框内按 Tab 确认，Shift+Tab 仍可离开
+     * @param {Object} record - 提示记录
+     * @param {string} id - 提示 id
+     */
+    bindInteraction(record, id) {
+      const toast = record.el;
+
+      toast.addEventListener('mouseenter', () => this.holdTimer(record, 'hover'));
+      toast.addEventListener('mouseleave', () => this.releaseTimer(record, 'hover'));
+
+      toast.addEventListener('focusin', (event) => {
+        if (!record.holds.has('focus') && event.relatedTarget && !toast.contains(event.relatedTarget)) {
+          record.returnFocus = event.relatedTarget;
+        }
+        this.holdTimer(record, 'focus');
+      });
+      toast.addEventListener('focusout', (event) => {
+        if (event.relatedTarget && toast.contains(event.relatedTarget)) return;
+        this.releaseTimer(record, 'focus');
+      });
+
+      toast.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+        const controls = [...toast.querySelectorAll('button')];
+        const index = controls.indexOf(this.shadow?.activeElement);
+        let next = null;
+
+        switch (event.key) {
+          case 'ArrowDown':
+          case 'ArrowRight':
+            next = controls[(index + 1) % controls.length];
+            break;
+          case 'ArrowUp':
+          case 'ArrowLeft':
+            next = controls[(index - 1 + controls.length) % controls.length];
+            break;
+          case 'Home':
+            next = controls[0];
+            break;
+          case 'End':
+            next = controls[controls.length - 1];
+            break;
+          case 'Escape':
+            event.preventDefault();
+            event.stopPropagation();
+            record.onClose?.();
+            this.dismiss(id);
+            return;
+          default:
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        next?.focus();
+      });
+    }
   }
 
   OpenIn.toast = new ToastManager();
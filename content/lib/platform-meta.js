@@ -0,0 +1,123 @@
+/**
+ * OpenIn - 平台显示信息（名称、缩写、颜色）
+ * 由 scripts/build.js 根据 platforms.js 生成，请勿手动修改
+ */
+globalThis.OpenIn = globalThis.OpenIn || {};
+
+globalThis.OpenIn.PLATFORM_META = {
+  "github": {
+    "abbr": "GH",
+    "color": "#58a6ff",
+    "name": "GitHub"
+  },
+  "gitlab": {
+    "abbr": "GL",
+    "color": "#fc6d26",
+    "name": "GitLab"
+  },
+  "bitbucket": {
+    "abbr": "BB",
+    "color": "#2684ff",
+    "name": "Bitbucket"
+  },
+  "gitee": {
+    "abbr": "GE",
+    "color": "#c71d23",
+    "name": "Gitee"
+  },
+  "codeberg": {
+    "abbr": "CB",
+    "color": "#2185d0",
+    "name": "Codeberg"
+  },
+  "sourcehut": {
+    "abbr": "SH",
+    "color": "#9aa0a6",
+    "name": "SourceHut"
+  },
+  "npm": {
+    "abbr": "NP",
+    "color": "#cb3837",
+    "name": "npm"
+  },
+  "docker": {
+    "abbr": "DK",
+    "color": "#2496ed",
+    "name": "Docker Hub"
+  },
+  "pypi": {
+    "abbr": "PY",
+    "color": "#3775a9",
+    "name": "PyPI"
+  },
+  "rubygems": {
+    "abbr": "RB",
+    "color": "#e9573f",
+    "name": "RubyGems"
+  },
+  "packagist": {
+    "abbr": "PK",
+    "color": "#f28d1a",
+    "name": "Packagist"
+  },
+  "crates": {
+    "abbr": "CR",
+    "color": "#f74b00",
+    "name": "crates.io"
+  },
+  "nuget": {
+    "abbr": "NU",
+    "color": "#004880",
+    "name": "NuGet"
+  },
+  "go": {
+    "abbr": "GO",
+    "color": "#00add8",
+    "name": "Go Packages"
+  },
+  "hex": {
+    "abbr": "HX",
+    "color": "#8e6bb8",
+    "name": "Hex"
+  },
+  "pub": {
+    "abbr": "PB",
+    "color": "#0175c2",
+    "name": "pub.dev"
+  },
+  "cocoapods": {
+    "abbr": "CP",
+    "color": "#ee3322",
+    "name": "CocoaPods"
+  },
+  "hackage": {
+    "abbr": "HK",
+    "color": "#8f7fc2",
+    "name": "Hackage"
+  },
+  "cpan": {
+    "abbr": "PL",
+    "color": "#5b8ac4",
+    "name": "MetaCPAN"
+  },
+  "homebrew": {
+    "abbr": "HB",
+    "color": "#fbb040",
+    "name": "Homebrew"
+  },
+  "jsr": {
+    "abbr": "JS",
+    "color": "#f7df1e",
+    "name": "JSR"
+  },
+  "maven": {
+    "abbr": "MV",
+    "color": "#c71a36",
+    "name": "Maven Central"
+  },
+  "zerocat": {
+    "abbr": "ZC",
+    "color": "#ff6600",
+    "name": "ZeroCat"
+  }
+};
@@ -1,32 +1,69 @@
 /**
- * OpenIn - 搜索引擎页「按 Tab 跳转」提示
+ * OpenIn - 搜索引擎页「按快捷键跳转」提示（快捷键默认 Alt+J，可在选项页修改）
+ * 搜索词可能对应多个平台时显示为选择列表：数字键 1–9 选择，快捷键打开最佳猜测
  */
 (async function initSearchHint() {
   'use strict';
 
-  const { api, readTimedStorage, clearTimedStorage, toast } = OpenIn;
+  const { api, readTimedStorage, clearTimedStorage, toast, getPlatformMeta } = OpenIn;
 
   const jumpData = await readTimedStorage('search_jump', 3000);
   if (!jumpData) return;
 
-  const { platform, owner, repo } = jumpData;
-  const repoText = repo ? `${owner}/${repo}` : owner;
+  const getTargetText = ({ owner, repo }) => (repo ? `${owner}/${repo}` : owner);
+
+  const jump = async (target) => {
+    await clearTimedStorage('search_jump');
+    api.runtime.sendMessage({
+      action: 'executeSearchJump',
+      data: target
+    });
+  };
+
+  let candidates = [];
+  if (jumpData.query) {
+    const response = await api.runtime.sendMessage({
+      action: 'getSearchCandidates',
+      query: jumpData.query
+    });
+    candidates = response?.candidates || [];
+  }
+
+  if (candidates.length > 1) {
+    const best = candidates[0];
+
+    toast.show({
+      id: 'openin-search-hint',
+      platform: best.platform,
+      title: api.i18n.getMessage('search_chooser_title'),
+      highlight: jumpData.query,
+      choices: candidates.map(target => ({
+        platform: target.platform,
+        label: getPlatformMeta(target.platform).name,
+        detail: getTargetText(target),
+        onSelect: () => jump(target)
+      })),
+      onShortcut: () => jump(best),
+      onClose: () => {
+        clearTimedStorage('search_jump');
+      },
+      ttl: 15000
+    });
+    return;
+  }
+
+  const { platform } = jumpData;
 
   toast.show({
     id: 'openin-search-hint',
     platform,
     title: api.i18n.getMessage('source_search'),
-    highlight: repoText,
-    shortcut: 'Tab',
+    highlight: getTargetText(jumpData),
     onShortcut: async () => {
       const current = await readTimedStorage('search_jump', 3000);
       if (!current) return;
 
-      await clearTimedStorage('search_jump');
-      api.runtime.sendMessage({
-        action: 'executeSearchJump',
-        data: current
-      });
+      await jump(current);
     },
     onClose: () => {
       clearTimedStorage('search_jump');
@@ -0,0 +1,46 @@
+/**
+ * OpenIn - 选中文本右键菜单
+ * 右键菜单无法在弹出时动态生成，因此在鼠标或键盘完成选择后把文本交给后台更新子菜单，
+ * 右键时再同步一次（后台点击时会核对菜单标题，过期的子菜单项不会打开）。
+ * 不监听 selectionchange：脚本注入所有页面，逐次发送会不断唤醒 Service Worker
+ */
+(function initSelectionMenu() {
+  'use strict';
+
+  const { api } = OpenIn;
+
+  // 选中文本过长时不识别
+  const MAX_SELECTION_LENGTH = 500;
+
+  let lastSentText = null;
+
+  function getSelectionText() {
+    const el = document.activeElement;
+    if (el && (el.tagName === 'TEXTAREA' || el.tagName === 'INPUT') && typeof el.selectionStart === 'number') {
+      return el.value.slice(el.selectionStart, el.selectionEnd);
+    }
+    return String(window.getSelection() || '');
+  }
+
+  /**
+   * 把选中文本交给后台更新子菜单
+   * @param {boolean} force - 文本未变化时也发送（Service Worker 重启后菜单记录会丢失）
+   */
+  function sendSelection(force = false) {
+    const text = getSelectionText().trim();
+    if (!text) return;
+
+    // 过长时也要通知后台，以隐藏上一次选中留下的子菜单项
+    const value = text.length > MAX_SELECTION_LENGTH ? '' : text;
+    if (!force && value === lastSentText) return;
+    lastSentText = value;
+
+    api.runtime.sendMessage({ action: 'updateSelectionMenu', text: value }).catch(() => {});
+  }
+
+  // 拖选或双击结束、Shift+方向键等键盘选择结束后发送（文本未变化时不重复发送）
+  document.addEventListener('mouseup', () => sendSelection(), true);
+  document.addEventListener('keyup', () => sendSelection(), true);
+
+  document.addEventListener('contextmenu', () => sendSelection(true), true);
+})();
@@ -0,0 +1,236 @@
+/**
+ * OpenIn - 打开历史与 frecency 排序模块
+ *
+ * 记录通过 OpenIn 打开过的仓库和包（storage.local），
+ * 并按“频率 × 最近程度”（frecency）为 omnibox 建议排序。
+ * 依赖页面或 Service Worker 中定义的全局 browserAPI。
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 历史记录的存储 key（storage.local）与排除规则的存储 key（storage.sync）
+ */
+const HISTORY_STORAGE_KEY = 'openHistory';
+const HISTORY_EXCLUSIONS_KEY = 'historyExclusions';
+
+/**
+ * 最多保留的历史条目数，超出时淘汰 frecency 最低的条目
+ */
+const HISTORY_MAX_ENTRIES = 200;
+
+/**
+ * 最近程度权重：距上次打开的天数上限 → 权重
+ */
+const FRECENCY_BUCKETS = [
+  [4, 100],
+  [14, 70],
+  [31, 50],
+  [90, 30],
+  [Infinity, 10]
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== 纯函数 ====================
+
+/**
+ * 历史条目的唯一标识：platform:owner/repo
+ * @param {Object} entry - {platform, owner, repo}
+ * @returns {string}
+ */
+function getHistoryEntryKey(entry) {
+  return `${entry.platform}:${entry.owner}${entry.repo ? '/' + entry.repo : ''}`;
+}
+
+/**
+ * 历史条目显示用名称：owner/repo 或包名
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getHistoryEntryName(entry) {
+  return entry.repo ? `${entry.owner}/${entry.repo}` : entry.owner;
+}
+
+/**
+ * 计算 frecency 分值
+ * @param {Object} entry - 历史条目
+ * @param {number} now - 当前时间戳
+ * @returns {number}
+ */
+function frecencyScore(entry, now = Date.now()) {
+  const ageDays = (now - entry.lastUsed) / DAY_MS;
+  const [, weight] = FRECENCY_BUCKETS.find(([maxDays]) => ageDays <= maxDays);
+  return entry.count * weight;
+}
+
+/**
+ * 计算查询与历史条目的匹配权重
+ * 仓库名前缀 > 所有者前缀 > 完整名称前缀 > 子串
+ *
+ * @param {Object} entry - 历史条目
+ * @param {string} query - 用户输入
+ * @returns {number} 0 表示不匹配
+ */
+function matchHistoryEntry(entry, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return 0;
+
+  const name = getHistoryEntryName(entry).toLowerCase();
+  const repo = (entry.repo || entry.owner).toLowerCase();
+  const owner = entry.owner.toLowerCase();
+
+  if (name.startsWith(q)) return q.includes('/') ? 4 : 3;
+  if (repo.startsWith(q)) return 4;
+  if (owner.startsWith(q)) return 2;
+  if (name.includes(q)) return 1;
+  return 0;
+}
+
+/**
+ * 按匹配权重与 frecency 排序历史条目
+ * @param {Object[]} entries - 历史条目
+ * @param {string} query - 用户输入，空字符串时仅按 frecency 排序
+ * @param {number} limit - 返回数量上限
+ * @returns {Object[]}
+ */
+function rankHistory(entries, query, limit = 5) {
+  const now = Date.now();
+  const hasQuery = Boolean(query && query.trim());
+
+  return entries
+    .map(entry => ({
+      entry,
+      match: hasQuery ? matchHistoryEntry(entry, query) : 1,
+      score: frecencyScore(entry, now)
+    }))
+    .filter(item => item.match > 0)
+    .sort((a, b) => (b.match * b.score) - (a.match * a.score))
+    .slice(0, limit)
+    .map(item => item.entry);
+}
+
+/**
+ * 判断条目是否被排除规则命中
+ * 规则格式：owner/repo、owner/*、包名，可加平台前缀如 github:owner/repo
+ *
+ * @param {Object} entry - 历史条目
+ * @param {string[]} exclusions - 排除规则
+ * @returns {boolean}
+ */
+function isHistoryExcluded(entry, exclusions) {
+  const name = getHistoryEntryName(entry).toLowerCase();
+
+  return exclusions.some((rule) => {
+    const separator = rule.indexOf(':');
+    const platform = separator > 0 ? rule.slice(0, separator) : null;
+    const target = (separator > 0 ? rule.slice(separator + 1) : rule).trim().toLowerCase();
+
+    if (!target || (platform && platform !== entry.platform)) return false;
+    if (target.endsWith('/*')) {
+      return entry.owner.toLowerCase() === target.slice(0, -2);
+    }
+    return name === target;
+  });
+}
+
+// ==================== 存储读写 ====================
+
+/**
+ * 历史写入队列：读-改-写依次执行，同时打开多个标签页时不会互相覆盖
+ * 队列只在当前上下文内有效，因此所有写入都在后台进行，选项页通过 clearHistory / removeHistoryEntries 消息调用
+ */
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * 把一次历史写入排入队列
+ * @param {function(): Promise<*>} task - 读取并写回历史的操作
+ * @returns {Promise<*>} task 的结果，前一次写入失败不影响后续写入
+ */
+function queueHistoryWrite(task) {
+  const run = historyWriteQueue.then(task);
+  historyWriteQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * 读取全部历史条目
+ * @returns {Promise<Object[]>}
+ */
+async function getHistoryEntries() {
+  const result = await browserAPI.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return result[HISTORY_STORAGE_KEY];
+}
+
+/**
+ * 读取排除规则
+ * @returns {Promise<string[]>}
+ */
+async function getHistoryExclusions() {
+  const result = await browserAPI.storage.sync.get({ [HISTORY_EXCLUSIONS_KEY]: [] });
+  return result[HISTORY_EXCLUSIONS_KEY];
+}
+
+/**
+ * 记录一次打开
+ * @param {Object} target - {platform, owner, repo, path}
+ * @returns {Promise<boolean>} 是否已记录（被排除时返回 false）
+ */
+async function recordHistory(target) {
+  const { platform, owner, repo = '', path = '' } = target;
+  if (!platform || !owner) return false;
+
+  return queueHistoryWrite(() => writeHistoryEntry({ platform, owner, repo, path }));
+}
+
+/**
+ * 将一次打开合并进历史并写回（只在写入队列中调用）
+ * @param {Object} target - {platform, owner, repo, path}
+ * @returns {Promise<boolean>} 是否已记录（被排除时返回 false）
+ */
+async function writeHistoryEntry({ platform, owner, repo, path }) {
+  const exclusions = await getHistoryExclusions();
+  if (isHistoryExcluded({ platform, owner, repo }, exclusions)) return false;
+
+  const entries = await getHistoryEntries();
+  const key = getHistoryEntryKey({ platform, owner, repo });
+  const existing = entries.find(entry => getHistoryEntryKey(entry) === key);
+
+  if (existing) {
+    existing.count += 1;
+    existing.lastUsed = Date.now();
+    existing.path = path;
+  } else {
+    entries.push({ platform, owner, repo, path, count: 1, lastUsed: Date.now() });
+  }
+
+  // 超出上限时淘汰 frecency 最低的条目
+  const now = Date.now();
+  const kept = entries
+    .sort((a, b) => frecencyScore(b, now) - frecencyScore(a, now))
+    .slice(0, HISTORY_MAX_ENTRIES);
+
+  await browserAPI.storage.local.set({ [HISTORY_STORAGE_KEY]: kept });
+  return true;
+}
+
+/**
+ * 删除命中规则的历史条目
+ * @param {string[]} rules - 排除规则
+ * @returns {Promise<void>}
+ */
+function removeHistoryEntries(rules) {
+  return queueHistoryWrite(async () => {
+    const entries = await getHistoryEntries();
+    const kept = entries.filter(entry => !isHistoryExcluded(entry, rules));
+    await browserAPI.storage.local.set({ [HISTORY_STORAGE_KEY]: kept });
+  });
+}
+
+/**
+ * 清空历史记录
+ * @returns {Promise<void>}
+ */
+function clearHistory() {
+  return queueHistoryWrite(() => browserAPI.storage.local.remove(HISTORY_STORAGE_KEY));
+}
@@ -1,30 +1,89 @@
 // ==================== 浏览器兼容层 ====================
 const browserAPI = globalThis.browser || globalThis.chrome;
 
-// 默认的常见地址列表（与 background.js 保持一致）
-const DEFAULT_BYPASS_PATTERNS = [
-  'localhost'
-];
-
 // DOM 元素
 const patternInput = document.getElementById('patternInput');
 const addBtn = document.getElementById('addBtn');
 const customPatternsList = document.getElementById('customPatternsList');
 const defaultPatternsList = document.getElementById('defaultPatternsList');
+const patternHint = document.getElementById('patternHint');
+const testUrlInput = document.getElementById('testUrlInput');
+const testUrlResult = document.getElementById('testUrlResult');
+const intranetHostsList = document.getElementById('intranetHostsList');
+const redirectSuppressionsList = document.getElementById('redirectSuppressionsList');
 const messageDiv = document.getElementById('message');
 const messageText = messageDiv.querySelector('.message-text');
 let messageTimer = null;
 const defaultPlatformSelect = document.getElementById('defaultPlatform');
+const counterpartPlatformSelect = document.getElementById('counterpartPlatform');
 
 // 功能开关 DOM 元素
 const featureOmnibox = document.getElementById('featureOmnibox');
 const featureSearchRedirect = document.getElementById('featureSearchRedirect');
 const featureDnsIntercept = document.getElementById('featureDnsIntercept');
+const featureMultiOpenGroup = document.getElementById('featureMultiOpenGroup');
+const featureSearchChooser = document.getElementById('featureSearchChooser');
 const searchRedirectOptions = document.getElementById('searchRedirectOptions');
 const searchModeAutoJump = document.getElementById('searchModeAutoJump');
 const searchModeTabJump = document.getElementById('searchModeTabJump');
 const searchModeNewTab = document.getElementById('searchModeNewTab');
 
+// 自定义平台 DOM 元素
+const customPlatformName = document.getElementById('customPlatformName');
+const customPlatformKeywords = document.getElementById('customPlatformKeywords');
+const customPlatformUrlPattern = document.getElementById('customPlatformUrlPattern');
+const customPlatformDomain = document.getElementById('customPlatformDomain');
+const customPlatformColor = document.getElementById('customPlatformColor');
+const customPlatformSingleName = document.getElementById('customPlatformSingleName');
+const customPlatformAllowAt = document.getElementById('customPlatformAllowAt');
+const addCustomPlatformBtn = document.getElementById('addCustomPlatformBtn');
+const customPlatformsList = document.getElementById('customPlatformsList');
+
+// 自建实例 DOM 元素
+const instanceHost = document.getElementById('instanceHost');
+const instanceType = document.getElementById('instanceType');
+const instanceKeywords = document.getElementById('instanceKeywords');
+const addInstanceBtn = document.getElementById('addInstanceBtn');
+const instancesList = document.getElementById('instancesList');
+
+// 仓库别名 DOM 元素
+const aliasName = document.getElementById('aliasName');
+const aliasTarget = document.getElementById('aliasTarget');
+const addAliasBtn = document.getElementById('addAliasBtn');
+const aliasesList = document.getElementById('aliasesList');
+
+// 搜索引擎 DOM 元素
+const builtinSearchEngines = document.getElementById('builtinSearchEngines');
+const searchEngineHost = document.getElementById('searchEngineHost');
+const searchEngineParam = document.getElementById('searchEngineParam');
+const searchEnginePath = document.getElementById('searchEnginePath');
+const addSearchEngineBtn = document.getElementById('addSearchEngineBtn');
+const searchEnginesList = document.getElementById('searchEnginesList');
+const searchEngineStrict = document.getElementById('searchEngineStrict');
+
+// 跳转范围 DOM 元素
+const redirectPlatformsList = document.getElementById('redirectPlatformsList');
+const redirectEnginesList = document.getElementById('redirectEnginesList');
+const toastPositionSelect = document.getElementById('toastPosition');
+const toastThemeSelect = document.getElementById('toastTheme');
+const toastMaxVisibleSelect = document.getElementById('toastMaxVisible');
+const toastReduceMotion = document.getElementById('toastReduceMotion');
+const toastShortcutInput = document.getElementById('toastShortcut');
+const toastShortcutHint = document.getElementById('toastShortcutHint');
+const dnsScopeShorthand = document.getElementById('dnsScopeShorthand');
+const dnsScopeDefaultPlatform = document.getElementById('dnsScopeDefaultPlatform');
+
+// 历史记录 DOM 元素
+const historyList = document.getElementById('historyList');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const historyExclusionInput = document.getElementById('historyExclusionInput');
+const addHistoryExclusionBtn = document.getElementById('addHistoryExclusionBtn');
+const historyExclusionsList = document.getElementById('historyExclusionsList');
+const favoritesInput = document.getElementById('favoritesInput');
+const favoritesCount = document.getElementById('favoritesCount');
+const importFavoritesBtn = document.getElementById('importFavoritesBtn');
+const clearFavoritesBtn = document.getElementById('clearFavoritesBtn');
+
 // 高级设置元素
 const advancedToggle = document.getElementById('advancedToggle');
 const advancedContent = document.getElementById('advancedContent');
@@ -42,6 +101,24 @@ async function loadDefaultPlatform() {
   defaultPlatformSelect.value = AVAILABLE_DEFAULT_PLATFORMS.includes(value) ? value : 'github';
 }
 
+// 加载对应平台配置（可选主要代码托管平台与自建实例）
+async function loadCounterpartPlatform(instances) {
+  const result = await browserAPI.storage.sync.get({
+    counterpartPlatform: 'gitee'
+  });
+
+  const keys = [...AVAILABLE_DEFAULT_PLATFORMS, ...instances.map(instance => instance.host)];
+  counterpartPlatformSelect.innerHTML = '';
+  keys.forEach((key) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = PLATFORMS[key] ? PLATFORMS[key].name : key;
+    counterpartPlatformSelect.appendChild(option);
+  });
+
+  counterpartPlatformSelect.value = keys.includes(result.counterpartPlatform) ? result.counterpartPlatform : 'gitee';
+}
+
 // 国际化处理
 function localizeHtml() {
   // 翻译带有 data-i18n 属性的元素
@@ -59,6 +136,14 @@ function localizeHtml() {
       el.placeholder = message;
     }
   });
+
+  // 翻译带有 data-i18n-title 属性的元素
+  document.querySelectorAll('[data-i18n-title]').forEach(el => {
+    const message = browserAPI.i18n.getMessage(el.getAttribute('data-i18n-title'));
+    if (message) {
+      el.title = message;
+    }
+  });
 }
 
 // 保存默认平台配置
@@ -68,6 +153,12 @@ async function saveDefaultPlatform() {
   showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
 }
 
+// 保存对应平台配置
+async function saveCounterpartPlatform() {
+  await browserAPI.storage.sync.set({ counterpartPlatform: counterpartPlatformSelect.value });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
 // 显示消息
 function showMessage(text, type = 'success') {
   if (messageTimer) {
@@ -94,111 +185,223 @@ function showMessage(text, type = 'success') {
   }, 3000);
 }
 
-// 加载并显示自定义白名单
-async function loadCustomPatterns() {
-  const result = await browserAPI.storage.sync.get({
-    customBypassPatterns: []
-  });
+// 白名单规则类型的显示名称
+function getBypassRuleTypeName(type) {
+  return browserAPI.i18n.getMessage(`bypass_rule_type_${type}`);
+}
 
-  const patterns = result.customBypassPatterns;
+// 加载并显示自定义白名单（先迁移旧版字符串规则）
+async function loadCustomPatterns() {
+  await migrateBypassPatterns();
+  const rules = await getCustomBypassRules();
+  customPatternsList.innerHTML = '';
 
-  if (patterns.length === 0) {
-    const emptyDiv = document.createElement('div');
-    emptyDiv.className = 'empty-state';
-    emptyDiv.textContent = browserAPI.i18n.getMessage('no_custom_rules');
-    customPatternsList.innerHTML = '';
-    customPatternsList.appendChild(emptyDiv);
-  } else {
-    customPatternsList.innerHTML = '';
-    patterns.forEach((pattern, index) => {
-      const li = document.createElement('li');
-      li.className = 'pattern-item';
-
-      const span = document.createElement('span');
-      span.className = 'pattern-text';
-      span.textContent = pattern;
-
-      const btn = document.createElement('button');
-      btn.className = 'delete-btn';
-      btn.dataset.index = index;
-      btn.textContent = browserAPI.i18n.getMessage('delete');
-      btn.addEventListener('click', async (e) => {
-        const idx = parseInt(e.target.dataset.index);
-        await deletePattern(idx);
-      });
-
-      li.appendChild(span);
-      li.appendChild(btn);
-      customPatternsList.appendChild(li);
-    });
+  if (rules.length === 0) {
+    renderEmptyState(customPatternsList, 'no_custom_rules');
+    return;
   }
+
+  rules.forEach((rule, index) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const text = document.createElement('span');
+    text.className = 'pattern-text';
+    text.textContent = formatBypassRule(rule);
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = getBypassRuleTypeName(rule.type);
+
+    info.appendChild(text);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deletePattern(index));
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    customPatternsList.appendChild(li);
+  });
 }
 
 // 显示默认白名单
 function loadDefaultPatterns() {
   defaultPatternsList.innerHTML = '';
-  DEFAULT_BYPASS_PATTERNS.forEach(pattern => {
+  DEFAULT_BYPASS_RULES.forEach(rule => {
     const li = document.createElement('li');
-    li.textContent = pattern;
+    li.textContent = `${formatBypassRule(rule)} · ${getBypassRuleTypeName(rule.type)}`;
     defaultPatternsList.appendChild(li);
   });
 }
 
+// 输入时校验规则并提示识别出的类型
+function updatePatternHint() {
+  patternHint.classList.remove('error');
+  if (!patternInput.value.trim()) {
+    patternHint.textContent = '';
+    return;
+  }
+
+  const { rule, error } = parseBypassRule(patternInput.value);
+  if (error) {
+    patternHint.textContent = browserAPI.i18n.getMessage(error);
+    patternHint.classList.add('error');
+    return;
+  }
+  patternHint.textContent = browserAPI.i18n.getMessage('bypass_rule_detected', getBypassRuleTypeName(rule.type));
+}
+
 // 添加新的白名单规则
 async function addPattern() {
-  const pattern = patternInput.value.trim();
+  const { rule, error } = parseBypassRule(patternInput.value);
 
-  if (!pattern) {
-    showMessage(browserAPI.i18n.getMessage('enter_pattern_error'), 'error');
+  if (error) {
+    showMessage(browserAPI.i18n.getMessage(error), 'error');
     return;
   }
 
-  // 获取当前的自定义白名单
-  const result = await browserAPI.storage.sync.get({
-    customBypassPatterns: []
-  });
-
-  const patterns = result.customBypassPatterns;
+  const rules = await getCustomBypassRules();
 
   // 检查是否已存在
-  if (patterns.includes(pattern)) {
-    showMessage('该规则已存在', 'error');
+  if (rules.some(item => item.type === rule.type && item.value === rule.value)) {
+    showMessage(browserAPI.i18n.getMessage('bypass_rule_exists'), 'error');
     return;
   }
 
-  // 添加新规则
-  patterns.push(pattern);
+  rules.push(rule);
 
-  // 保存到存储
   await browserAPI.storage.sync.set({
-    customBypassPatterns: patterns
+    [BYPASS_RULES_STORAGE_KEY]: rules
   });
 
-  // 清空输入框
   patternInput.value = '';
+  updatePatternHint();
 
-  // 重新加载列表
   await loadCustomPatterns();
+  updateTestUrlResult();
 
-  showMessage('规则添加成功！', 'success');
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
 }
 
 // 删除白名单规则
 async function deletePattern(index) {
-  const result = await browserAPI.storage.sync.get({
-    customBypassPatterns: []
-  });
-
-  const patterns = result.customBypassPatterns;
-  patterns.splice(index, 1);
+  const rules = await getCustomBypassRules();
+  rules.splice(index, 1);
 
   await browserAPI.storage.sync.set({
-    customBypassPatterns: patterns
+    [BYPASS_RULES_STORAGE_KEY]: rules
   });
 
   await loadCustomPatterns();
+  updateTestUrlResult();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 测试地址：显示命中的规则
+async function updateTestUrlResult() {
+  const value = testUrlInput.value.trim();
+  testUrlResult.classList.remove('error');
+  if (!value) {
+    testUrlResult.textContent = '';
+    return;
+  }
+
+  const url = /^[a-z][\w+.-]*:\/\//i.test(value) ? value : `http://${value}`;
+  try {
+    new URL(url);
+  } catch (e) {
+    testUrlResult.textContent = browserAPI.i18n.getMessage('bypass_test_invalid');
+    testUrlResult.classList.add('error');
+    return;
+  }
+
+  const rule = findBypassRule(url, await getBypassRules());
+  testUrlResult.textContent = rule
+    ? browserAPI.i18n.getMessage('bypass_test_matched', `${formatBypassRule(rule)} (${getBypassRuleTypeName(rule.type)})`)
+    : browserAPI.i18n.getMessage('bypass_test_no_match');
+}
+
+// 加载并显示已识别的内网主机
+async function loadIntranetHosts() {
+  const hosts = await getIntranetHosts();
+  intranetHostsList.innerHTML = '';
+
+  if (hosts.length === 0) {
+    renderEmptyState(intranetHostsList, 'no_intranet_hosts');
+    return;
+  }
+
+  [...hosts].reverse().forEach((host) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const text = document.createElement('span');
+    text.className = 'pattern-text';
+    text.textContent = host;
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('intranet_host_forget');
+    btn.addEventListener('click', async () => {
+      await forgetIntranetHost(host);
+      await loadIntranetHosts();
+      showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+    });
+
+    li.appendChild(text);
+    li.appendChild(btn);
+    intranetHostsList.appendChild(li);
+  });
+}
+
+// 加载并显示不再跳转列表
+async function loadRedirectSuppressions() {
+  const suppressions = await getRedirectSuppressions();
+  redirectSuppressionsList.innerHTML = '';
 
-  showMessage('规则已删除', 'success');
+  if (suppressions.length === 0) {
+    renderEmptyState(redirectSuppressionsList, 'no_redirect_suppressions');
+    return;
+  }
+
+  suppressions.forEach((item) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const text = document.createElement('span');
+    text.className = 'pattern-text';
+    text.textContent = item.value;
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = browserAPI.i18n.getMessage(`redirect_suppression_${item.type}`);
+
+    info.appendChild(text);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', async () => {
+      await removeRedirectSuppression(item.type, item.value);
+      await loadRedirectSuppressions();
+      showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+    });
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    redirectSuppressionsList.appendChild(li);
+  });
 }
 
 // HTML 转义
@@ -217,8 +420,720 @@ patternInput.addEventListener('keypress', (e) => {
   }
 });
 
+patternInput.addEventListener('input', updatePatternHint);
+testUrlInput.addEventListener('input', updateTestUrlResult);
+
 // 监听默认平台变化
 defaultPlatformSelect.addEventListener('change', saveDefaultPlatform);
+counterpartPlatformSelect.addEventListener('change', saveCounterpartPlatform);
+
+// ==================== 自定义平台管理 ====================
+
+// 加载并显示自定义平台（同时合并到本页的 PLATFORMS，用于冲突检测）
+async function loadCustomPlatforms() {
+  const result = await browserAPI.storage.sync.get({
+    customPlatforms: []
+  });
+
+  const platforms = result.customPlatforms;
+  applyCustomPlatforms(platforms);
+  loadRedirectScope();
+  customPlatformsList.innerHTML = '';
+
+  if (platforms.length === 0) {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'empty-state';
+    emptyDiv.textContent = browserAPI.i18n.getMessage('no_custom_platforms');
+    customPlatformsList.appendChild(emptyDiv);
+    return;
+  }
+
+  platforms.forEach((platform, index) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const dot = document.createElement('span');
+    dot.className = 'platform-dot';
+    dot.style.background = platform.color;
+
+    const name = document.createElement('span');
+    name.className = 'pattern-text';
+    name.textContent = platform.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = `${platform.keywords.join(', ')} · ${platform.domain}`;
+    meta.title = platform.urlPattern;
+
+    info.appendChild(dot);
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deleteCustomPlatform(index));
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    customPlatformsList.appendChild(li);
+  });
+}
+
+// 添加自定义平台
+async function addCustomPlatform() {
+  const platform = normalizeCustomPlatform({
+    name: customPlatformName.value,
+    keywords: customPlatformKeywords.value,
+    urlPattern: customPlatformUrlPattern.value,
+    domain: customPlatformDomain.value,
+    color: customPlatformColor.value,
+    singleName: customPlatformSingleName.checked,
+    allowAt: customPlatformAllowAt.checked
+  });
+
+  if (!platform) {
+    showMessage(browserAPI.i18n.getMessage('custom_platform_invalid'), 'error');
+    return;
+  }
+
+  // PLATFORMS 已包含现有自定义平台，key 或关键词重复即视为冲突
+  const conflict = PLATFORMS[platform.id] || platform.keywords.some(kw => findPlatformByKeyword(kw));
+  if (conflict) {
+    showMessage(browserAPI.i18n.getMessage('custom_platform_conflict'), 'error');
+    return;
+  }
+
+  const result = await browserAPI.storage.sync.get({
+    customPlatforms: []
+  });
+  const platforms = result.customPlatforms;
+  platforms.push(platform);
+
+  await browserAPI.storage.sync.set({
+    customPlatforms: platforms
+  });
+
+  customPlatformName.value = '';
+  customPlatformKeywords.value = '';
+  customPlatformUrlPattern.value = '';
+  customPlatformDomain.value = '';
+  customPlatformSingleName.checked = false;
+  customPlatformAllowAt.checked = false;
+
+  await loadCustomPlatforms();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 删除自定义平台
+async function deleteCustomPlatform(index) {
+  const result = await browserAPI.storage.sync.get({
+    customPlatforms: []
+  });
+
+  const platforms = result.customPlatforms;
+  platforms.splice(index, 1);
+
+  await browserAPI.storage.sync.set({
+    customPlatforms: platforms
+  });
+
+  await loadCustomPlatforms();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+addCustomPlatformBtn.addEventListener('click', addCustomPlatform);
+
+// ==================== 自建实例管理 ====================
+
+// 填充实例类型下拉框
+function loadInstanceTypes() {
+  instanceType.innerHTML = '';
+  Object.entries(INSTANCE_TYPES).forEach(([key, type]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = type.name;
+    instanceType.appendChild(option);
+  });
+}
+
+// 加载并显示自建实例（同时合并到本页的 PLATFORMS，用于冲突检测）
+async function loadInstances() {
+  const result = await browserAPI.storage.sync.get({
+    selfHostedInstances: []
+  });
+
+  const instances = result.selfHostedInstances;
+  applySelfHostedInstances(instances);
+  loadCounterpartPlatform(instances);
+  loadRedirectScope();
+  instancesList.innerHTML = '';
+
+  if (instances.length === 0) {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'empty-state';
+    emptyDiv.textContent = browserAPI.i18n.getMessage('no_instances');
+    instancesList.appendChild(emptyDiv);
+    return;
+  }
+
+  instances.forEach((instance, index) => {
+    const type = INSTANCE_TYPES[instance.type];
+
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const dot = document.createElement('span');
+    dot.className = 'platform-dot';
+    dot.style.background = type ? type.color : CUSTOM_PLATFORM_DEFAULT_COLOR;
+
+    const name = document.createElement('span');
+    name.className = 'pattern-text';
+    name.textContent = instance.host;
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = [type ? type.name : instance.type, ...instance.keywords].join(' · ');
+
+    info.appendChild(dot);
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deleteInstance(index));
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    instancesList.appendChild(li);
+  });
+}
+
+// 添加自建实例
+async function addInstance() {
+  const instance = normalizeSelfHostedInstance({
+    host: instanceHost.value,
+    type: instanceType.value,
+    keywords: instanceKeywords.value
+  });
+
+  if (!instance) {
+    showMessage(browserAPI.i18n.getMessage('instance_invalid'), 'error');
+    return;
+  }
+
+  const conflict = PLATFORMS[instance.host] || instance.keywords.some(kw => findPlatformByKeyword(kw));
+  if (conflict) {
+    showMessage(browserAPI.i18n.getMessage('custom_platform_conflict'), 'error');
+    return;
+  }
+
+  const result = await browserAPI.storage.sync.get({
+    selfHostedInstances: []
+  });
+  const instances = result.selfHostedInstances;
+  instances.push(instance);
+
+  await browserAPI.storage.sync.set({
+    selfHostedInstances: instances
+  });
+
+  instanceHost.value = '';
+  instanceKeywords.value = '';
+
+  await loadInstances();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 删除自建实例
+async function deleteInstance(index) {
+  const result = await browserAPI.storage.sync.get({
+    selfHostedInstances: []
+  });
+
+  const instances = result.selfHostedInstances;
+  instances.splice(index, 1);
+
+  await browserAPI.storage.sync.set({
+    selfHostedInstances: instances
+  });
+
+  await loadInstances();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+addInstanceBtn.addEventListener('click', addInstance);
+
+// ==================== 仓库别名管理 ====================
+
+// 加载并显示别名
+async function loadAliases() {
+  const aliases = await getAliases();
+  aliasesList.innerHTML = '';
+
+  if (aliases.length === 0) {
+    renderEmptyState(aliasesList, 'no_aliases');
+    return;
+  }
+
+  aliases.forEach((alias, index) => {
+    const platformInfo = PLATFORMS[alias.platform];
+
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const dot = document.createElement('span');
+    dot.className = 'platform-dot';
+    dot.style.background = platformInfo ? platformInfo.color : CUSTOM_PLATFORM_DEFAULT_COLOR;
+
+    const name = document.createElement('span');
+    name.className = 'pattern-text';
+    name.textContent = alias.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = `${platformInfo ? platformInfo.name : alias.platform} · ${getAliasTargetText(alias)}`;
+
+    info.appendChild(dot);
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deleteAlias(index));
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    aliasesList.appendChild(li);
+  });
+}
+
+// 添加或更新别名（同名别名会被覆盖）
+async function addAlias() {
+  const alias = normalizeAlias({
+    name: aliasName.value,
+    target: aliasTarget.value
+  });
+
+  if (!alias) {
+    showMessage(browserAPI.i18n.getMessage('alias_invalid'), 'error');
+    return;
+  }
+
+  // 与平台关键词同名会遮盖该平台
+  if (findPlatformByKeyword(alias.name)) {
+    showMessage(browserAPI.i18n.getMessage('custom_platform_conflict'), 'error');
+    return;
+  }
+
+  const aliases = (await getAliases()).filter(item => item.name !== alias.name);
+  aliases.push(alias);
+
+  await browserAPI.storage.sync.set({
+    [ALIASES_STORAGE_KEY]: aliases
+  });
+
+  aliasName.value = '';
+  aliasTarget.value = '';
+
+  await loadAliases();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 删除别名
+async function deleteAlias(index) {
+  const aliases = await getAliases();
+  aliases.splice(index, 1);
+
+  await browserAPI.storage.sync.set({
+    [ALIASES_STORAGE_KEY]: aliases
+  });
+
+  await loadAliases();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+addAliasBtn.addEventListener('click', addAlias);
+
+aliasTarget.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    addAlias();
+  }
+});
+
+// ==================== 跳转范围管理 ====================
+
+// 渲染一组复选框，未勾选的 key 即为屏蔽列表
+function renderScopeCheckboxes(container, items, blocked, storageKey) {
+  container.innerHTML = '';
+
+  items.forEach(({ key, name }) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-item';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = key;
+    input.checked = !blocked.includes(key);
+    input.addEventListener('change', () => saveRedirectBlockList(container, storageKey));
+
+    const text = document.createElement('span');
+    text.className = 'checkbox-text';
+    text.textContent = name;
+
+    label.appendChild(input);
+    label.appendChild(text);
+    container.appendChild(label);
+  });
+}
+
+// 加载跳转范围（平台列表包含本页已合并的自定义平台与自建实例）
+async function loadRedirectScope() {
+  const result = await browserAPI.storage.sync.get({
+    redirectBlockedPlatforms: [],
+    redirectBlockedEngines: [],
+    dnsInterceptScope: 'shorthand'
+  });
+
+  const platforms = Object.entries(PLATFORMS).map(([key, config]) => ({ key, name: config.name }));
+  const engines = [
+    ...SEARCH_ENGINE_ADAPTERS.map(engine => ({ key: engine.id, name: engine.name })),
+    { key: GENERIC_SEARCH_ENGINE_ID, name: browserAPI.i18n.getMessage('redirect_engine_generic') }
+  ];
+
+  renderScopeCheckboxes(redirectPlatformsList, platforms, result.redirectBlockedPlatforms, 'redirectBlockedPlatforms');
+  renderScopeCheckboxes(redirectEnginesList, engines, result.redirectBlockedEngines, 'redirectBlockedEngines');
+
+  if (result.dnsInterceptScope === 'defaultPlatform') {
+    dnsScopeDefaultPlatform.checked = true;
+  } else {
+    dnsScopeShorthand.checked = true;
+  }
+}
+
+// 保存屏蔽列表
+async function saveRedirectBlockList(container, storageKey) {
+  const blocked = [...container.querySelectorAll('input[type="checkbox"]')]
+    .filter(input => !input.checked)
+    .map(input => input.value);
+
+  await browserAPI.storage.sync.set({
+    [storageKey]: blocked
+  });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 保存 DNS 拦截范围
+async function saveDnsInterceptScope() {
+  await browserAPI.storage.sync.set({
+    dnsInterceptScope: dnsScopeDefaultPlatform.checked ? 'defaultPlatform' : 'shorthand'
+  });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+dnsScopeShorthand.addEventListener('change', saveDnsInterceptScope);
+dnsScopeDefaultPlatform.addEventListener('change', saveDnsInterceptScope);
+
+// ==================== 搜索引擎管理 ====================
+
+// 加载并显示内置与自定义搜索引擎
+async function loadSearchEngines() {
+  builtinSearchEngines.textContent = browserAPI.i18n.getMessage(
+    'search_engines_builtin',
+    SEARCH_ENGINE_ADAPTERS.map(engine => engine.name).join(', ')
+  );
+
+  const result = await browserAPI.storage.sync.get({
+    [SEARCH_ENGINES_STORAGE_KEY]: [],
+    [SEARCH_ENGINE_STRICT_KEY]: SEARCH_ENGINE_STRICT_DEFAULT
+  });
+  const engines = result[SEARCH_ENGINES_STORAGE_KEY];
+
+  searchEngineStrict.checked = result[SEARCH_ENGINE_STRICT_KEY];
+  searchEnginesList.innerHTML = '';
+
+  if (engines.length === 0) {
+    renderEmptyState(searchEnginesList, 'no_search_engines');
+    return;
+  }
+
+  engines.forEach((engine, index) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const name = document.createElement('span');
+    name.className = 'pattern-text';
+    name.textContent = engine.host;
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = `${engine.path || '/*'} · ?${engine.param}=`;
+
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deleteSearchEngine(index));
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    searchEnginesList.appendChild(li);
+  });
+}
+
+// 添加或更新自定义搜索引擎（同一主机名和路径只保留一条）
+async function addSearchEngine() {
+  const engine = normalizeSearchEngine({
+    host: searchEngineHost.value,
+    param: searchEngineParam.value,
+    path: searchEnginePath.value
+  });
+
+  if (!engine) {
+    showMessage(browserAPI.i18n.getMessage('search_engine_invalid'), 'error');
+    return;
+  }
+
+  if (isPlatformHost(engine.id)) {
+    showMessage(browserAPI.i18n.getMessage('search_engine_platform_host'), 'error');
+    return;
+  }
+
+  const def = { host: engine.id, param: engine.params[0], path: engine.paths[0] || '' };
+  const result = await browserAPI.storage.sync.get({ [SEARCH_ENGINES_STORAGE_KEY]: [] });
+  const engines = result[SEARCH_ENGINES_STORAGE_KEY]
+    .filter(item => item.host !== def.host || (item.path || '') !== def.path);
+  engines.push(def);
+
+  await browserAPI.storage.sync.set({
+    [SEARCH_ENGINES_STORAGE_KEY]: engines
+  });
+
+  searchEngineHost.value = '';
+  searchEngineParam.value = '';
+  searchEnginePath.value = '';
+
+  await loadSearchEngines();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 删除自定义搜索引擎
+async function deleteSearchEngine(index) {
+  const result = await browserAPI.storage.sync.get({ [SEARCH_ENGINES_STORAGE_KEY]: [] });
+  const engines = result[SEARCH_ENGINES_STORAGE_KEY];
+  engines.splice(index, 1);
+
+  await browserAPI.storage.sync.set({
+    [SEARCH_ENGINES_STORAGE_KEY]: engines
+  });
+
+  await loadSearchEngines();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+addSearchEngineBtn.addEventListener('click', addSearchEngine);
+
+searchEnginePath.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    addSearchEngine();
+  }
+});
+
+searchEngineStrict.addEventListener('change', async () => {
+  await browserAPI.storage.sync.set({
+    [SEARCH_ENGINE_STRICT_KEY]: searchEngineStrict.checked
+  });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+});
+
+// ==================== 历史记录管理 ====================
+
+// 选项页展示的历史条目数
+const HISTORY_DISPLAY_LIMIT = 10;
+
+// 渲染空状态
+function renderEmptyState(list, messageKey) {
+  const emptyDiv = document.createElement('div');
+  emptyDiv.className = 'empty-state';
+  emptyDiv.textContent = browserAPI.i18n.getMessage(messageKey);
+  list.appendChild(emptyDiv);
+}
+
+// 加载并显示常用历史条目
+async function loadHistory() {
+  const entries = rankHistory(await getHistoryEntries(), '', HISTORY_DISPLAY_LIMIT);
+  historyList.innerHTML = '';
+
+  if (entries.length === 0) {
+    renderEmptyState(historyList, 'no_history');
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const platformInfo = PLATFORMS[entry.platform];
+
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const info = document.createElement('div');
+    info.className = 'platform-item-info';
+
+    const dot = document.createElement('span');
+    dot.className = 'platform-dot';
+    dot.style.background = platformInfo ? platformInfo.color : CUSTOM_PLATFORM_DEFAULT_COLOR;
+
+    const name = document.createElement('span');
+    name.className = 'pattern-text';
+    name.textContent = getHistoryEntryName(entry);
+
+    const meta = document.createElement('span');
+    meta.className = 'platform-item-meta';
+    meta.textContent = `${platformInfo ? platformInfo.name : entry.platform} · ${entry.count}`;
+
+    info.appendChild(dot);
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('history_exclude');
+    btn.addEventListener('click', () => {
+      addHistoryExclusion(`${entry.platform}:${getHistoryEntryName(entry)}`);
+    });
+
+    li.appendChild(info);
+    li.appendChild(btn);
+    historyList.appendChild(li);
+  });
+}
+
+// 加载并显示排除规则
+async function loadHistoryExclusions() {
+  const exclusions = await getHistoryExclusions();
+  historyExclusionsList.innerHTML = '';
+
+  if (exclusions.length === 0) {
+    renderEmptyState(historyExclusionsList, 'no_custom_rules');
+    return;
+  }
+
+  exclusions.forEach((rule, index) => {
+    const li = document.createElement('li');
+    li.className = 'pattern-item';
+
+    const span = document.createElement('span');
+    span.className = 'pattern-text';
+    span.textContent = rule;
+
+    const btn = document.createElement('button');
+    btn.className = 'delete-btn';
+    btn.textContent = browserAPI.i18n.getMessage('delete');
+    btn.addEventListener('click', () => deleteHistoryExclusion(index));
+
+    li.appendChild(span);
+    li.appendChild(btn);
+    historyExclusionsList.appendChild(li);
+  });
+}
+
+// 添加排除规则，并删除已记录的匹配条目
+async function addHistoryExclusion(rule) {
+  const value = rule.trim();
+  if (!value) {
+    showMessage(browserAPI.i18n.getMessage('enter_pattern_error'), 'error');
+    return;
+  }
+
+  const exclusions = await getHistoryExclusions();
+  if (!exclusions.includes(value)) {
+    exclusions.push(value);
+    await browserAPI.storage.sync.set({ [HISTORY_EXCLUSIONS_KEY]: exclusions });
+  }
+
+  // 历史由后台写入，经后台删除以免与正在记录的条目互相覆盖
+  await browserAPI.runtime.sendMessage({ action: 'removeHistoryEntries', rules: [value] });
+  historyExclusionInput.value = '';
+
+  await loadHistory();
+  await loadHistoryExclusions();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 删除排除规则
+async function deleteHistoryExclusion(index) {
+  const exclusions = await getHistoryExclusions();
+  exclusions.splice(index, 1);
+  await browserAPI.storage.sync.set({ [HISTORY_EXCLUSIONS_KEY]: exclusions });
+
+  await loadHistoryExclusions();
+
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+clearHistoryBtn.addEventListener('click', async () => {
+  await browserAPI.runtime.sendMessage({ action: 'clearHistory' });
+  await loadHistory();
+  showMessage(browserAPI.i18n.getMessage('history_cleared'), 'success');
+});
+
+addHistoryExclusionBtn.addEventListener('click', () => {
+  addHistoryExclusion(historyExclusionInput.value);
+});
+
+historyExclusionInput.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    addHistoryExclusion(historyExclusionInput.value);
+  }
+});
+
+// ==================== 收藏仓库管理 ====================
+
+// 显示已导入的收藏数量
+async function loadFavorites() {
+  const favorites = await getFavoriteRepos();
+  favoritesCount.textContent = browserAPI.i18n.getMessage('favorites_count', [String(favorites.length)]);
+}
+
+importFavoritesBtn.addEventListener('click', async () => {
+  const text = favoritesInput.value.trim();
+  if (!text) return;
+
+  const added = await importFavoriteRepos(text);
+  favoritesInput.value = '';
+  await loadFavorites();
+  showMessage(browserAPI.i18n.getMessage('favorites_imported', [String(added)]), 'success');
+});
+
+clearFavoritesBtn.addEventListener('click', async () => {
+  await clearFavoriteRepos();
+  await loadFavorites();
+  showMessage(browserAPI.i18n.getMessage('favorites_cleared'), 'success');
+});
 
 // ==================== 功能开关管理 ====================
 
@@ -228,12 +1143,16 @@ async function loadFeatureToggles() {
     featureOmnibox: true,
     featureSearchRedirect: true,
     featureDnsIntercept: true,
+    featureMultiOpenGroup: true,
+    featureSearchChooser: true,
     searchRedirectMode: 'autoJump'
   });
 
   featureOmnibox.checked = result.featureOmnibox;
   featureSearchRedirect.checked = result.featureSearchRedirect;
   featureDnsIntercept.checked = result.featureDnsIntercept;
+  featureMultiOpenGroup.checked = result.featureMultiOpenGroup;
+  featureSearchChooser.checked = result.featureSearchChooser;
 
   if (result.searchRedirectMode === 'autoJump') {
     searchModeAutoJump.checked = true;
@@ -251,7 +1170,9 @@ async function saveFeatureToggles() {
   await browserAPI.storage.sync.set({
     featureOmnibox: featureOmnibox.checked,
     featureSearchRedirect: featureSearchRedirect.checked,
-    featureDnsIntercept: featureDnsIntercept.checked
+    featureDnsIntercept: featureDnsIntercept.checked,
+    featureMultiOpenGroup: featureMultiOpenGroup.checked,
+    featureSearchChooser: featureSearchChooser.checked
   });
   showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
 }
@@ -285,6 +1206,8 @@ function updateSearchRedirectOptionsUI() {
 // 监听功能开关变化
 featureOmnibox.addEventListener('change', saveFeatureToggles);
 featureDnsIntercept.addEventListener('change', saveFeatureToggles);
+featureMultiOpenGroup.addEventListener('change', saveFeatureToggles);
+featureSearchChooser.addEventListener('change', saveFeatureToggles);
 
 featureSearchRedirect.addEventListener('change', () => {
   saveFeatureToggles();
@@ -296,6 +1219,73 @@ searchModeAutoJump.addEventListener('change', saveSearchRedirectMode);
 searchModeTabJump.addEventListener('change', saveSearchRedirectMode);
 searchModeNewTab.addEventListener('change', saveSearchRedirectMode);
 
+// ==================== 页面提示外观 ====================
+
+// 加载页面提示外观设置
+async function loadToastSettings() {
+  const result = await browserAPI.storage.sync.get({
+    toastPosition: 'top-right',
+    toastTheme: 'dark',
+    toastMaxVisible: 3,
+    toastReduceMotion: false,
+    [TOAST_SHORTCUT_STORAGE_KEY]: DEFAULT_TOAST_SHORTCUT
+  });
+
+  toastShortcutInput.value = result[TOAST_SHORTCUT_STORAGE_KEY];
+  toastPositionSelect.value = result.toastPosition;
+  toastThemeSelect.value = result.toastTheme;
+  toastMaxVisibleSelect.value = String(result.toastMaxVisible);
+  toastReduceMotion.checked = result.toastReduceMotion;
+}
+
+// 保存页面提示外观设置（内容脚本监听存储变化，已打开的页面即时生效）
+async function saveToastSettings() {
+  await browserAPI.storage.sync.set({
+    toastPosition: toastPositionSelect.value,
+    toastTheme: toastThemeSelect.value,
+    toastMaxVisible: Number(toastMaxVisibleSelect.value),
+    toastReduceMotion: toastReduceMotion.checked
+  });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+// 录制页面提示快捷键：聚焦后按下组合键即保存，Backspace 恢复默认
+async function recordToastShortcut(event) {
+  if (event.key === 'Tab' && !event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey && toastShortcutInput.value === 'Tab') {
+    // 已经是 Tab 时保留 Tab 的焦点切换，避免键盘用户困在输入框中
+    return;
+  }
+  if (event.key === 'Escape') {
+    toastShortcutInput.blur();
+    return;
+  }
+
+  event.preventDefault();
+  const shortcut = event.key === 'Backspace' || event.key === 'Delete'
+    ? DEFAULT_TOAST_SHORTCUT
+    : shortcutFromEvent(event);
+
+  if (!shortcut) {
+    if (!['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+      toastShortcutHint.textContent = browserAPI.i18n.getMessage('toast_shortcut_invalid');
+      toastShortcutHint.classList.add('error');
+    }
+    return;
+  }
+
+  toastShortcutHint.textContent = browserAPI.i18n.getMessage('toast_shortcut_hint_default');
+  toastShortcutHint.classList.remove('error');
+  toastShortcutInput.value = shortcut;
+  await browserAPI.storage.sync.set({ [TOAST_SHORTCUT_STORAGE_KEY]: shortcut });
+  showMessage(browserAPI.i18n.getMessage('saved_success'), 'success');
+}
+
+toastShortcutInput.addEventListener('keydown', recordToastShortcut);
+toastPositionSelect.addEventListener('change', saveToastSettings);
+toastThemeSelect.addEventListener('change', saveToastSettings);
+toastMaxVisibleSelect.addEventListener('change', saveToastSettings);
+toastReduceMotion.addEventListener('change', saveToastSettings);
+
 // ==================== 高级设置折叠 ====================
 
 // 监听高级设置折叠按钮
@@ -316,7 +1306,18 @@ document.addEventListener('DOMContentLoaded', () => {
   localizeHtml();
   loadDefaultPatterns();
   loadCustomPatterns();
+  loadIntranetHosts();
+  loadRedirectSuppressions();
+  loadCustomPlatforms();
+  loadInstanceTypes();
+  loadInstances();
+  loadAliases();
+  loadSearchEngines();
+  loadHistory();
+  loadHistoryExclusions();
+  loadFavorites();
   loadDefaultPlatform();
   loadFeatureToggles();
+  loadToastSettings();
 });
 
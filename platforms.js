@@ -15,8 +15,13 @@
  * - urlPattern: URL模板
  * - domain: 域名
  * - color: 主题色
+ * - accent: 深色背景（页面内提示）上使用的强调色，缺省为 color
+ * - abbr: 两个字母的缩写（页面内提示的徽标）
  * - singleName: 是否为单一名称（无需owner/repo格式）
  * - allowAt: 是否支持@符号（用于scoped包）
+ * - slashName: 名称可含 /（如 Go 模块路径 github.com/gin-gonic/gin）
+ * - custom: 是否为用户自定义平台（由 applyCustomPlatforms 合并）
+ * - instanceOf: 自建实例所属的平台类型（由 applySelfHostedInstances 合并）
  */
 const PLATFORMS = {
   github: {
@@ -24,28 +29,51 @@ const PLATFORMS = {
     keywords: ['github', 'gh'],
     urlPattern: 'https://github.com/{owner}/{repo}{path}',
     domain: 'github.com',
-    color: '#24292e'
+    color: '#24292e',
+    accent: '#58a6ff',
+    abbr: 'GH'
   },
   gitlab: {
     name: 'GitLab',
     keywords: ['gitlab', 'gl'],
     urlPattern: 'https://gitlab.com/{owner}/{repo}{path}',
     domain: 'gitlab.com',
-    color: '#fc6d26'
+    color: '#fc6d26',
+    abbr: 'GL'
   },
   bitbucket: {
     name: 'Bitbucket',
     keywords: ['bitbucket', 'bb'],
     urlPattern: 'https://bitbucket.org/{owner}/{repo}{path}',
     domain: 'bitbucket.org',
-    color: '#0052cc'
+    color: '#0052cc',
+    accent: '#2684ff',
+    abbr: 'BB'
   },
   gitee: {
     name: 'Gitee',
     keywords: ['gitee', 'ge'],
     urlPattern: 'https://gitee.com/{owner}/{repo}{path}',
     domain: 'gitee.com',
-    color: '#c71d23'
+    color: '#c71d23',
+    abbr: 'GE'
+  },
+  codeberg: {
+    name: 'Codeberg',
+    keywords: ['codeberg', 'cb'],
+    urlPattern: 'https://codeberg.org/{owner}/{repo}{path}',
+    domain: 'codeberg.org',
+    color: '#2185d0',
+    abbr: 'CB'
+  },
+  sourcehut: {
+    name: 'SourceHut',
+    keywords: ['sourcehut', 'srht'],
+    urlPattern: 'https://git.sr.ht/~{owner}/{repo}{path}',
+    domain: 'git.sr.ht',
+    color: '#333333',
+    accent: '#9aa0a6',
+    abbr: 'SH'
   },
   npm: {
     name: 'npm',
@@ -53,6 +81,7 @@ const PLATFORMS = {
     urlPattern: 'https://www.npmjs.com/package/{owner}{path}',
     domain: 'npmjs.com',
     color: '#cb3837',
+    abbr: 'NP',
     singleName: true,  // npm 包名不需要 owner/repo 格式
     allowAt: true      // 支持 @scope/package 格式
   },
@@ -61,7 +90,8 @@ const PLATFORMS = {
     keywords: ['docker', 'dockerhub'],
     urlPattern: 'https://hub.docker.com/r/{owner}/{repo}{path}',
     domain: 'hub.docker.com',
-    color: '#2496ed'
+    color: '#2496ed',
+    abbr: 'DK'
   },
   pypi: {
     name: 'PyPI',
@@ -69,6 +99,7 @@ const PLATFORMS = {
     urlPattern: 'https://pypi.org/project/{owner}{path}',
     domain: 'pypi.org',
     color: '#3775a9',
+    abbr: 'PY',
     singleName: true,
     allowAt: true
   },
@@ -78,6 +109,8 @@ const PLATFORMS = {
     urlPattern: 'https://rubygems.org/gems/{owner}{path}',
     domain: 'rubygems.org',
     color: '#cc342d',
+    accent: '#e9573f',
+    abbr: 'RB',
     singleName: true
   },
   packagist: {
@@ -85,7 +118,8 @@ const PLATFORMS = {
     keywords: ['packagist', 'composer', 'php'],
     urlPattern: 'https://packagist.org/packages/{owner}/{repo}{path}',
     domain: 'packagist.org',
-    color: '#f28d1a'
+    color: '#f28d1a',
+    abbr: 'PK'
   },
   crates: {
     name: 'crates.io',
@@ -93,6 +127,7 @@ const PLATFORMS = {
     urlPattern: 'https://crates.io/crates/{owner}{path}',
     domain: 'crates.io',
     color: '#f74b00',
+    abbr: 'CR',
     singleName: true
   },
   nuget: {
@@ -101,21 +136,101 @@ const PLATFORMS = {
     urlPattern: 'https://www.nuget.org/packages/{owner}{path}',
     domain: 'nuget.org',
     color: '#004880',
+    abbr: 'NU',
+    singleName: true
+  },
+  go: {
+    name: 'Go Packages',
+    keywords: ['go', 'golang', 'gopkg'],
+    urlPattern: 'https://pkg.go.dev/{owner}{path}',
+    domain: 'pkg.go.dev',
+    color: '#00add8',
+    abbr: 'GO',
+    singleName: true,
+    slashName: true   // 模块路径如 golang.org/x/tools
+  },
+  hex: {
+    name: 'Hex',
+    keywords: ['hex', 'elixir', 'mix'],
+    urlPattern: 'https://hex.pm/packages/{owner}{path}',
+    domain: 'hex.pm',
+    color: '#6e4a7e',
+    accent: '#8e6bb8',
+    abbr: 'HX',
+    singleName: true
+  },
+  pub: {
+    name: 'pub.dev',
+    keywords: ['pub', 'dart', 'flutter'],
+    urlPattern: 'https://pub.dev/packages/{owner}{path}',
+    domain: 'pub.dev',
+    color: '#0175c2',
+    abbr: 'PB',
+    singleName: true
+  },
+  cocoapods: {
+    name: 'CocoaPods',
+    keywords: ['cocoapods', 'pod', 'pods'],
+    urlPattern: 'https://cocoapods.org/pods/{owner}{path}',
+    domain: 'cocoapods.org',
+    color: '#ee3322',
+    abbr: 'CP',
+    singleName: true
+  },
+  hackage: {
+    name: 'Hackage',
+    keywords: ['hackage', 'haskell', 'cabal'],
+    urlPattern: 'https://hackage.haskell.org/package/{owner}{path}',
+    domain: 'hackage.haskell.org',
+    color: '#5e5086',
+    accent: '#8f7fc2',
+    abbr: 'HK',
+    singleName: true
+  },
+  cpan: {
+    name: 'MetaCPAN',
+    keywords: ['cpan', 'metacpan', 'perl'],
+    urlPattern: 'https://metacpan.org/pod/{owner}{path}',
+    domain: 'metacpan.org',
+    color: '#3f6b9c',
+    accent: '#5b8ac4',
+    abbr: 'PL',
+    singleName: true  // 模块名如 Moose::Role
+  },
+  homebrew: {
+    name: 'Homebrew',
+    keywords: ['brew', 'homebrew'],
+    urlPattern: 'https://formulae.brew.sh/formula/{owner}{path}',
+    domain: 'formulae.brew.sh',
+    color: '#fbb040',
+    abbr: 'HB',
     singleName: true
   },
+  jsr: {
+    name: 'JSR',
+    keywords: ['jsr', 'deno'],
+    urlPattern: 'https://jsr.io/{owner}{path}',
+    domain: 'jsr.io',
+    color: '#f7df1e',
+    abbr: 'JS',
+    singleName: true,
+    allowAt: true     // JSR 包名均为 @scope/name
+  },
   maven: {
     name: 'Maven Central',
     keywords: ['maven', 'mvn', 'java'],
     urlPattern: 'https://search.maven.org/artifact/{owner}/{repo}{path}',
     domain: 'search.maven.org',
-    color: '#c71a36'
+    color: '#c71a36',
+    abbr: 'MV'
   },
   zerocat: {
     name: 'ZeroCat',
     keywords: ['zerocat', 'zc'],
     urlPattern: 'https://zerocat.dev/{owner}/{repo}{path}',
     domain: 'zerocat.dev',
-    color: '#ff6600'
+    color: '#ff6600',
+    abbr: 'ZC'
   }
 };
 
@@ -135,8 +250,9 @@ const REPO_WITH_PATH_PATTERN = /^([a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?)
 
 /**
  * 匹配完整URL：https://github.com/owner/repo 或 github.com/owner/repo
+ * SourceHut 的用户名带 ~ 前缀（git.sr.ht/~owner/repo），~ 不计入 owner
  */
-const FULL_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?([a-zA-Z0-9.-]+)\/([a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?)\/([\w.-]+)(\/.*)?$/;
+const FULL_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?([a-zA-Z0-9.-]+)\/~?([a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?)\/([\w.-]+)(\/.*)?$/;
 
 /**
  * 从文本中提取零散通用 URL（http/https）
@@ -178,10 +294,20 @@ function isStandaloneGenericUrl(text) {
 /**
  * 从文本中提取零散仓库 URL（非整行匹配）
  */
-const INLINE_REPO_URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?([a-zA-Z0-9.-]+)\/([a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?)\/([\w.-]+)(\/[^\s]*)?/g;
+const INLINE_REPO_URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?([a-zA-Z0-9.-]+)\/~?([a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?)\/([\w.-]+)(\/[^\s]*)?/g;
 
 // ==================== 解析函数 ====================
 
+/**
+ * 去掉 SourceHut 用户名前的 ~（从 sr.ht 复制的 ~owner/repo），其他平台原样返回
+ * @param {string} platform - 平台 key
+ * @param {string} name - owner/repo 形式的名称
+ * @returns {string}
+ */
+function stripOwnerSigil(platform, name) {
+  return platform === 'sourcehut' ? name.replace(/^~/, '') : name;
+}
+
 /**
  * 解析输入的仓库字符串
  * @param {string} input - 用户输入
@@ -328,6 +454,10 @@ function parseSearchQuery(query) {
   const trimmed = query.trim();
   if (!trimmed) return null;
 
+  // 安装命令：npm i react、pip install requests、docker pull nginx 等
+  const installTarget = parseInstallCommand(trimmed);
+  if (installTarget) return installTarget;
+
   // 使用空格分隔
   const parts = trimmed.split(/\s+/);
   // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
@@ -380,15 +510,34 @@ function findPlatformByKeyword(keyword) {
   return null;
 }
 
+/**
+ * 输入为“包管理平台关键词 + 名称”时返回该平台，如 "go github.com/gin-gonic/gin"
+ * 此时名称整体作为包名，不再按链接识别
+ *
+ * @param {string} input - 用户输入
+ * @returns {string|null} 平台key或null
+ */
+function findPackageKeywordPlatform(input) {
+  const parts = input.trim().split(/\s+/);
+  if (parts.length !== 2) return null;
+
+  const platform = findPlatformByKeyword(parts[0]) || findPlatformByKeyword(parts[1]);
+  return platform && PLATFORMS[platform].singleName ? platform : null;
+}
+
 /**
  * 根据域名查找平台
+ * 只接受平台域名本身或其子域名（www.github.com），不做子串匹配：
+ * 内网短链 go/…、pub/… 不能被识别为 pkg.go.dev、pub.dev
+ *
  * @param {string} domain - 域名（如'github.com'）
  * @returns {string|null} 平台key或null
  */
 function findPlatformByDomain(domain) {
   const lowerDomain = domain.toLowerCase();
   for (const [key, config] of Object.entries(PLATFORMS)) {
-    if (lowerDomain.includes(config.domain) || config.domain.includes(lowerDomain)) {
+    const hosts = [config.domain, getPlatformHost(config)];
+    if (hosts.some(host => lowerDomain === host || lowerDomain.endsWith(`.${host}`))) {
       return key;
     }
   }
@@ -411,12 +560,58 @@ function buildRepoUrl(platform, owner, repo, path = '') {
     return null;
   }
 
+  // 包名中带版本号（react@18.2.0、django==4.2、nginx:1.25）时打开版本页
+  if (!path && PACKAGE_VERSION_FORMATS[platform]) {
+    const { name, version } = splitPackageVersion(platform, config.singleName ? owner : repo);
+    if (version) {
+      path = buildVersionPath(platform, version);
+      if (config.singleName) {
+        owner = name;
+      } else {
+        repo = name;
+      }
+    }
+  }
+
   return config.urlPattern
     .replace('{owner}', owner)
     .replace('{repo}', repo)
     .replace('{path}', path || '');
 }
 
+/**
+ * 平台 URL 模板中的主机名，如 www.npmjs.com
+ * @param {Object} config - 平台配置
+ * @returns {string}
+ */
+function getPlatformHost(config) {
+  const match = config.urlPattern.match(/^https?:\/\/([^/{]+)/);
+  return match ? match[1].toLowerCase() : config.domain;
+}
+
+/**
+ * 平台仓库/包页面的匹配规则（content_scripts 的 matches 格式），owner、repo 替换为通配符 *
+ * @param {Object} config - 平台配置
+ * @returns {string}
+ */
+function getPlatformPagePattern(config) {
+  return config.urlPattern
+    .replace('{owner}', '*')
+    .replace('{repo}', '*')
+    .replace('{path}', '');
+}
+
+/**
+ * 判断主机名是否属于某个平台（含子域名，如 docs.github.com）
+ * 平台站内搜索不视为搜索引擎
+ *
+ * @param {string} hostname - 主机名
+ * @returns {boolean}
+ */
+function isPlatformHost(hostname) {
+  return findPlatformByDomain(hostname) !== null;
+}
+
 /**
  * 获取平台信息
  * @param {string} platform - 平台key
@@ -426,6 +621,1141 @@ function getPlatformInfo(platform) {
   return PLATFORMS[platform] || null;
 }
 
+/**
+ * 平台 URL 中名称部分的正则片段
+ * @param {Object} config - 平台配置
+ * @returns {string}
+ */
+function getOwnerUrlPattern(config) {
+  if (config.slashName) return '([^@]+)';
+  if (config.allowAt) return '((?:@[^/]+/)?[^/@]+)';
+  return '([^/]+)';
+}
+
+/**
+ * 根据平台 URL 模板反向解析 URL（buildRepoUrl 的逆操作）
+ * 可识别 singleName 平台的包页面，如 https://www.npmjs.com/package/@scope/pkg
+ *
+ * @param {string} url - 完整URL
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function parsePlatformUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  const normalized = url.trim()
+    .replace(/^(https?:\/\/)www\./i, '$1')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+
+  for (const [key, config] of Object.entries(PLATFORMS)) {
+    const source = config.urlPattern
+      .replace(/^(https?:\/\/)www\./i, '$1')
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace('\\{owner\\}', getOwnerUrlPattern(config))
+      .replace('\\{repo\\}', '([^/]+)')
+      .replace('\\{path\\}', '((?:/|@).*)?');
+
+    const hasRepo = config.urlPattern.includes('{repo}');
+    const match = normalized.match(new RegExp(`^${source}$`, 'i'));
+    if (!match) continue;
+
+    return {
+      platform: key,
+      owner: match[1],
+      repo: hasRepo ? match[2] : '',
+      path: (hasRepo ? match[3] : match[2]) || ''
+    };
+  }
+
+  return null;
+}
+
+// ==================== 自定义平台 ====================
+
+/**
+ * 内置平台 key 列表，自定义平台不能覆盖这些 key
+ */
+const BUILTIN_PLATFORM_KEYS = Object.keys(PLATFORMS);
+
+/**
+ * 自定义平台的默认主题色（与 content script 的兜底颜色一致）
+ */
+const CUSTOM_PLATFORM_DEFAULT_COLOR = '#8b9cb3';
+
+/**
+ * 主机名格式正则（不含协议、端口和路径）
+ */
+const HOSTNAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * 规范化平台关键词列表（数组或逗号分隔字符串）
+ * @param {string[]|string} value
+ * @returns {string[]} 去重后的小写关键词
+ */
+function normalizeKeywords(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(raw
+    .map(kw => String(kw).trim().toLowerCase())
+    .filter(kw => /^[a-z0-9][\w.-]*$/.test(kw)))];
+}
+
+/**
+ * 规范化用户输入的主机名（去掉协议、端口和路径）
+ * @param {string} value
+ * @returns {string} 小写主机名，无效时返回空字符串
+ */
+function normalizeHostname(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[/:].*$/, '');
+  return HOSTNAME_PATTERN.test(host) ? host : '';
+}
+
+/**
+ * 校验并规范化一条用户自定义平台配置
+ * 字段与内置平台一致，另有 id 作为平台 key（缺省时由名称生成）
+ *
+ * @param {Object} def - 用户填写的配置
+ * @returns {Object|null} 规范化后的配置，无效时返回 null
+ */
+function normalizeCustomPlatform(def) {
+  if (!def || typeof def !== 'object') return null;
+
+  const name = String(def.name || '').trim();
+  if (!name) return null;
+
+  const id = String(def.id || name).trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (!id || BUILTIN_PLATFORM_KEYS.includes(id)) return null;
+
+  const keywords = normalizeKeywords(def.keywords);
+  if (keywords.length === 0) return null;
+
+  const singleName = Boolean(def.singleName);
+  let urlPattern = String(def.urlPattern || '').trim();
+  if (!/^https?:\/\/[^/{}]+/i.test(urlPattern) || !urlPattern.includes('{owner}')) return null;
+  if (!singleName && !urlPattern.includes('{repo}')) return null;
+  if (!urlPattern.includes('{path}')) {
+    urlPattern += '{path}';
+  }
+
+  // 域名缺省时取 URL 模板中的主机名
+  let domain = normalizeHostname(def.domain);
+  if (!domain && !def.domain) {
+    const hostMatch = urlPattern.match(/^https?:\/\/([^/:{}]+)/i);
+    domain = hostMatch ? normalizeHostname(hostMatch[1]) : '';
+  }
+  if (!domain) return null;
+
+  const color = /^#[0-9a-f]{6}$/i.test(def.color || '') ? def.color.toLowerCase() : CUSTOM_PLATFORM_DEFAULT_COLOR;
+
+  return {
+    id,
+    name,
+    keywords,
+    urlPattern,
+    domain,
+    color,
+    singleName,
+    allowAt: Boolean(def.allowAt)
+  };
+}
+
+/**
+ * 将自定义平台合并到 PLATFORMS
+ * 每次调用都会先移除上次合并的自定义平台，因此可直接传入最新的完整列表。
+ * 与已有平台 key 或关键词冲突的条目会被跳过，内置平台始终优先。
+ *
+ * @param {Object[]} defs - 自定义平台配置数组
+ * @returns {string[]} 成功合并的平台 key
+ */
+function applyCustomPlatforms(defs) {
+  for (const key of Object.keys(PLATFORMS)) {
+    if (PLATFORMS[key].custom && !PLATFORMS[key].instanceOf) {
+      delete PLATFORMS[key];
+    }
+  }
+
+  const applied = [];
+  for (const def of Array.isArray(defs) ? defs : []) {
+    const normalized = normalizeCustomPlatform(def);
+    if (!normalized || PLATFORMS[normalized.id]) continue;
+
+    const { id, ...config } = normalized;
+    const keywordTaken = config.keywords.some(kw => findPlatformByKeyword(kw));
+    if (keywordTaken) continue;
+
+    PLATFORMS[id] = { ...config, custom: true };
+    applied.push(id);
+  }
+
+  return applied;
+}
+
+// ==================== 自建实例 ====================
+
+/**
+ * 可映射的自建实例类型
+ * 自建实例继承对应类型的 URL 结构，{host} 会被替换为实例主机名
+ */
+const INSTANCE_TYPES = {
+  github: {
+    name: 'GitHub Enterprise',
+    urlPattern: 'https://{host}/{owner}/{repo}{path}',
+    color: PLATFORMS.github.color
+  },
+  gitlab: {
+    name: 'GitLab',
+    urlPattern: 'https://{host}/{owner}/{repo}{path}',
+    color: PLATFORMS.gitlab.color
+  },
+  gitea: {
+    name: 'Gitea',
+    urlPattern: 'https://{host}/{owner}/{repo}{path}',
+    color: '#609926'
+  }
+};
+
+/**
+ * 校验并规范化一条自建实例配置
+ * @param {Object} def - {host, type, keywords, name}
+ * @returns {Object|null} 规范化后的配置，无效时返回 null
+ */
+function normalizeSelfHostedInstance(def) {
+  if (!def || typeof def !== 'object') return null;
+
+  const host = normalizeHostname(def.host);
+  if (!host || !INSTANCE_TYPES[def.type]) return null;
+
+  return {
+    host,
+    type: def.type,
+    name: String(def.name || '').trim(),
+    keywords: normalizeKeywords(def.keywords)
+  };
+}
+
+/**
+ * 将自建实例作为平台合并到 PLATFORMS，平台 key 为实例主机名
+ * 与 applyCustomPlatforms 相同，每次调用都会替换上次合并的实例。
+ * 关键词冲突时仅丢弃冲突的关键词，实例仍可通过域名识别。
+ *
+ * @param {Object[]} defs - 自建实例配置数组
+ * @returns {string[]} 成功合并的平台 key
+ */
+function applySelfHostedInstances(defs) {
+  for (const key of Object.keys(PLATFORMS)) {
+    if (PLATFORMS[key].instanceOf) {
+      delete PLATFORMS[key];
+    }
+  }
+
+  const applied = [];
+  for (const def of Array.isArray(defs) ? defs : []) {
+    const instance = normalizeSelfHostedInstance(def);
+    if (!instance || PLATFORMS[instance.host]) continue;
+
+    const type = INSTANCE_TYPES[instance.type];
+    PLATFORMS[instance.host] = {
+      name: instance.name || `${type.name} (${instance.host})`,
+      keywords: instance.keywords.filter(kw => !findPlatformByKeyword(kw)),
+      urlPattern: type.urlPattern.replace('{host}', instance.host),
+      domain: instance.host,
+      color: type.color,
+      custom: true,
+      instanceOf: instance.type
+    };
+    applied.push(instance.host);
+  }
+
+  return applied;
+}
+
+// ==================== 深层链接子命令 ====================
+
+/**
+ * 各代码托管平台的深层路径结构
+ * {n} 为 issue/PR 编号，{ref} 为分支/标签/提交，{file} 为文件路径；缺少的条目表示该平台不支持
+ */
+const PATH_LAYOUTS = {
+  github: {
+    blob: '/blob/{ref}/{file}',
+    tree: '/tree/{ref}/{file}',
+    issue: '/issues/{n}',
+    issues: '/issues',
+    pull: '/pull/{n}',
+    pulls: '/pulls',
+    releases: '/releases',
+    actions: '/actions',
+    blame: '/blame/HEAD/{file}'
+  },
+  gitlab: {
+    blob: '/-/blob/{ref}/{file}',
+    tree: '/-/tree/{ref}/{file}',
+    issue: '/-/issues/{n}',
+    issues: '/-/issues',
+    pull: '/-/merge_requests/{n}',
+    pulls: '/-/merge_requests',
+    releases: '/-/releases',
+    actions: '/-/pipelines',
+    blame: '/-/blame/HEAD/{file}'
+  },
+  bitbucket: {
+    blob: '/src/{ref}/{file}',
+    tree: '/src/{ref}/{file}',
+    issue: '/issues/{n}',
+    issues: '/issues',
+    pull: '/pull-requests/{n}',
+    pulls: '/pull-requests',
+    actions: '/pipelines',
+    blame: '/annotate/HEAD/{file}'
+  },
+  gitee: {
+    blob: '/blob/{ref}/{file}',
+    tree: '/tree/{ref}/{file}',
+    issue: '/issues/{n}',
+    issues: '/issues',
+    pull: '/pulls/{n}',
+    pulls: '/pulls',
+    releases: '/releases'
+  },
+  codeberg: {
+    blob: '/src/branch/{ref}/{file}',
+    tree: '/src/branch/{ref}/{file}',
+    issue: '/issues/{n}',
+    issues: '/issues',
+    pull: '/pulls/{n}',
+    pulls: '/pulls',
+    releases: '/releases',
+    actions: '/actions'
+  },
+  sourcehut: {
+    blob: '/tree/{ref}/item/{file}',
+    tree: '/tree/{ref}/item/{file}',
+    blame: '/blame/HEAD/{file}'
+  },
+  gitea: {
+    blob: '/src/branch/{ref}/{file}',
+    tree: '/src/branch/{ref}/{file}',
+    issue: '/issues/{n}',
+    issues: '/issues',
+    pull: '/pulls/{n}',
+    pulls: '/pulls',
+    releases: '/releases',
+    actions: '/actions'
+  }
+};
+
+/**
+ * 子命令别名，issue/pull 不带编号时对应列表页（issues/pulls）
+ */
+const SUB_COMMAND_ALIASES = {
+  issue: ['issue', 'issues', 'i'],
+  pull: ['pr', 'prs', 'pull', 'pulls', 'mr', 'mrs'],
+  releases: ['releases', 'release', 'rel'],
+  actions: ['actions', 'ci', 'pipelines'],
+  blame: ['blame']
+};
+
+/**
+ * 获取平台的深层路径结构（自建实例沿用其类型的结构）
+ * @param {string} platform - 平台key
+ * @returns {Object|null}
+ */
+function getPathLayout(platform) {
+  const config = PLATFORMS[platform];
+  if (!config) return null;
+  return PATH_LAYOUTS[config.instanceOf || platform] || null;
+}
+
+/**
+ * 构建仓库的 HTTPS 克隆地址，仅代码托管平台（含自建实例）可用
+ * SourceHut 的克隆地址不带 .git 后缀
+ *
+ * @param {string} platform - 平台key
+ * @param {string} owner - 所有者
+ * @param {string} repo - 仓库名
+ * @returns {string|null}
+ */
+function buildCloneUrl(platform, owner, repo) {
+  const config = PLATFORMS[platform];
+  if (!config || !repo || !getPathLayout(platform)) return null;
+
+  const repoUrl = buildRepoUrl(platform, owner, repo, '');
+  return (config.instanceOf || platform) === 'sourcehut' ? repoUrl : `${repoUrl}.git`;
+}
+
+/**
+ * 解析仓库名之后的子命令
+ * 支持：#123、!123、issue 123、issues、pr 456、prs、releases、actions、blame path/to/file
+ *
+ * @param {string[]} tokens - 仓库名之后的词
+ * @returns {{command: string, arg: string}|null}
+ */
+function parseSubCommand(tokens) {
+  if (tokens.length === 0 || tokens.length > 2) return null;
+
+  const [first, second] = tokens;
+
+  // #123 → issue，!123 → PR/MR（GitLab 写法）
+  const shorthand = first.match(/^([#!])(\d+)$/);
+  if (shorthand) {
+    return tokens.length === 1
+      ? { command: shorthand[1] === '#' ? 'issue' : 'pull', arg: shorthand[2] }
+      : null;
+  }
+
+  const lower = first.toLowerCase();
+  const entry = Object.entries(SUB_COMMAND_ALIASES).find(([, aliases]) => aliases.includes(lower));
+  if (!entry) return null;
+
+  const [command] = entry;
+
+  if (command === 'issue' || command === 'pull') {
+    if (!second) {
+      return { command: `${command}s`, arg: '' };
+    }
+    const number = second.match(/^[#!]?(\d+)$/);
+    return number ? { command, arg: number[1] } : null;
+  }
+
+  if (command === 'blame') {
+    const file = (second || '').replace(/^\/+/, '');
+    return file ? { command, arg: file } : null;
+  }
+
+  return second ? null : { command, arg: '' };
+}
+
+/**
+ * 根据平台结构构建子命令路径
+ * @param {string} platform - 平台key
+ * @param {string} command - 子命令（parseSubCommand 的返回值）
+ * @param {string} arg - 子命令参数
+ * @returns {string|null} 路径，平台不支持时返回 null
+ */
+function buildSubCommandPath(platform, command, arg = '') {
+  const layout = getPathLayout(platform);
+  if (!layout || !layout[command]) return null;
+
+  return layout[command]
+    .replace('{n}', arg)
+    .replace('{file}', arg);
+}
+
+// ==================== 跨平台路径转换 ====================
+
+/**
+ * 按路径结构模板匹配仓库内路径
+ * @param {string} template - PATH_LAYOUTS 中的模板
+ * @param {string} path - 仓库内路径，如 /blob/main/src/x.ts
+ * @returns {Object|null} {n, ref, file} 中模板包含的部分，或 null
+ */
+function matchPathTemplate(template, path) {
+  const names = [];
+  const source = template
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\/\{file\}|\{n\}|\{ref\}/g, (token) => {
+      if (token === '/{file}') {
+        names.push('file');
+        return '(?:/(.*))?';
+      }
+      names.push(token.slice(1, -1));
+      return token === '{n}' ? '(\\d+)' : '([^/]+)';
+    });
+
+  const match = path.match(new RegExp(`^${source}/?$`));
+  if (!match) return null;
+
+  const params = {};
+  names.forEach((name, i) => {
+    params[name] = match[i + 1] || '';
+  });
+  return params;
+}
+
+/**
+ * 将一个平台的仓库内路径转换为另一个平台的等价路径
+ * 支持文件、目录、issue、PR 及各列表页；目标平台没有对应页面时返回空字符串（仓库首页）
+ *
+ * @param {string} fromPlatform - 来源平台key
+ * @param {string} path - 来源平台的仓库内路径
+ * @param {string} toPlatform - 目标平台key
+ * @returns {string} 目标平台路径
+ */
+function translatePlatformPath(fromPlatform, path, toPlatform) {
+  const fromLayout = getPathLayout(fromPlatform);
+  const toLayout = getPathLayout(toPlatform);
+  if (!fromLayout || !toLayout || !path) return '';
+
+  for (const [command, template] of Object.entries(fromLayout)) {
+    const params = matchPathTemplate(template, path);
+    if (!params) continue;
+
+    const target = toLayout[command];
+    if (!target) return '';
+
+    const file = params.file || '';
+    const built = target
+      .replace('{n}', params.n || '')
+      .replace('{ref}', params.ref || 'HEAD')
+      .replace('{file}', file);
+    return file ? built : built.replace(/\/$/, '');
+  }
+
+  return '';
+}
+
+/**
+ * 选择当前平台的对应平台：优先使用配置的平台，与当前平台相同时退回默认平台或 GitHub
+ * @param {string} currentPlatform - 当前页面所在平台
+ * @param {string} preferred - 配置的对应平台
+ * @returns {string}
+ */
+function getCounterpartPlatform(currentPlatform, preferred) {
+  // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
+  const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+  const candidates = [preferred, defaultPlatform, ...MULTI_OPEN_PLATFORMS];
+  return candidates.find(key => key && key !== currentPlatform && getPathLayout(key));
+}
+
+/**
+ * 解析带子命令的仓库输入，如 "facebook/react #123"、"gl group/proj pr 5"
+ * 平台关键词可位于开头或末尾，未指定时使用默认平台
+ *
+ * @param {string} input - 用户输入
+ * @returns {Object|null} {platform, owner, repo, command, arg, explicitPlatform} 或 null
+ */
+function parseRepoCommand(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = input.trim().split(/\s+/);
+  if (tokens.length < 2) return null;
+
+  let platform = null;
+  const firstPlatform = findPlatformByKeyword(tokens[0]);
+  if (firstPlatform) {
+    platform = firstPlatform;
+    tokens.shift();
+  } else if (tokens.length >= 3) {
+    const lastPlatform = findPlatformByKeyword(tokens[tokens.length - 1]);
+    if (lastPlatform) {
+      platform = lastPlatform;
+      tokens.pop();
+    }
+  }
+
+  const repoMatch = (tokens[0] || '').match(REPO_PATTERN);
+  if (!repoMatch) return null;
+
+  const sub = parseSubCommand(tokens.slice(1));
+  if (!sub) return null;
+
+  // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
+  const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+
+  return {
+    platform: platform || defaultPlatform,
+    owner: repoMatch[1],
+    repo: repoMatch[2],
+    command: sub.command,
+    arg: sub.arg,
+    explicitPlatform: Boolean(platform)
+  };
+}
+
+/**
+ * 生成子命令的规范文本（用于 omnibox 建议内容）
+ * @param {string} command - 子命令
+ * @param {string} arg - 子命令参数
+ * @returns {string}
+ */
+function formatSubCommand(command, arg) {
+  if (command === 'issue') return `#${arg}`;
+  if (command === 'pull') return `pr ${arg}`;
+  if (command === 'issues' || command === 'pulls') return command;
+  return arg ? `${command} ${arg}` : command;
+}
+
+// ==================== 多平台同时打开 ====================
+
+/**
+ * 通配符：在所有主要代码托管平台中打开
+ */
+const MULTI_OPEN_ALL = '*';
+
+/**
+ * 通配符对应的平台列表
+ */
+const MULTI_OPEN_PLATFORMS = ['github', 'gitlab', 'bitbucket', 'gitee'];
+
+/**
+ * 解析多平台打开输入，如 "react/react *"、"react/react gh,gl,ge"
+ * 平台列表可位于开头或末尾，逗号分隔时至少包含两个平台
+ *
+ * @param {string} input - 用户输入
+ * @returns {Object|null} {platforms, name, owner, repo, path} 或 null
+ */
+function parseMultiOpenInput(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = input.trim().split(/\s+/);
+  if (tokens.length !== 2) return null;
+
+  const parseSelector = (token) => {
+    if (token === MULTI_OPEN_ALL) {
+      // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
+      const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+      return MULTI_OPEN_PLATFORMS.includes(defaultPlatform)
+        ? [defaultPlatform, ...MULTI_OPEN_PLATFORMS.filter(key => key !== defaultPlatform)]
+        : MULTI_OPEN_PLATFORMS;
+    }
+    if (!token.includes(',')) return null;
+
+    const platforms = token.split(',').filter(Boolean).map(findPlatformByKeyword);
+    if (platforms.length < 2 || platforms.includes(null)) return null;
+    return [...new Set(platforms)];
+  };
+
+  let platforms = parseSelector(tokens[1]);
+  let name = tokens[0];
+  if (!platforms) {
+    platforms = parseSelector(tokens[0]);
+    name = tokens[1];
+  }
+  if (!platforms || platforms.length < 2) return null;
+
+  const match = name.match(REPO_WITH_PATH_PATTERN);
+  if (match) {
+    const [, owner, repo, path = ''] = match;
+    return { platforms, name, owner, repo, path };
+  }
+
+  return { platforms, name, owner: name, repo: '', path: '' };
+}
+
+/**
+ * 生成多平台打开的各个 URL
+ * owner/repo 在代码托管平台打开仓库；单一名称在 singleName 平台打开包页面，其余平台打开用户页
+ *
+ * @param {Object} multi - parseMultiOpenInput 的返回值
+ * @returns {Array<{platform: string, url: string}>}
+ */
+function buildMultiOpenUrls(multi) {
+  return multi.platforms
+    .map((platform) => {
+      const config = PLATFORMS[platform];
+      let url;
+      if (config.singleName) {
+        url = buildRepoUrl(platform, multi.name, '', '');
+      } else if (multi.repo) {
+        url = buildRepoUrl(platform, multi.owner, multi.repo, multi.path);
+      } else {
+        url = `https://${config.domain}/${multi.name}`;
+      }
+      return url ? { platform, url } : null;
+    })
+    .filter(Boolean);
+}
+
+// ==================== 包版本 ====================
+
+/**
+ * 各包管理平台的版本写法与版本页路径
+ * - pattern: 拆分名称与版本，第 1 组为名称，第 2 组为版本
+ * - path: 版本页路径模板
+ * - imageName: 名称为镜像名，可省略 library/（Docker 官方镜像）
+ */
+const PACKAGE_VERSION_FORMATS = {
+  npm: { pattern: /^((?:@[^/@]+\/)?[^/@]+)@([^/@]+)$/, path: '/v/{version}' },
+  pypi: { pattern: /^([\w.-]+)==([\w.!+-]+)$/, path: '/{version}/' },
+  crates: { pattern: /^([\w-]+)@([\w.+-]+)$/, path: '/{version}' },
+  rubygems: { pattern: /^([\w.-]+)@([\w.-]+)$/, path: '/versions/{version}' },
+  nuget: { pattern: /^([\w.-]+)@([\w.-]+)$/, path: '/{version}' },
+  go: { pattern: /^(.+)@(v[\w.+-]+)$/, path: '@{version}' },
+  jsr: { pattern: /^(@[\w-]+\/[\w.-]+)@([\w.+-]+)$/, path: '@{version}' },
+  hex: { pattern: /^(\w+)@([\w.+-]+)$/, path: '/{version}' },
+  pub: { pattern: /^(\w+)@([\w.+-]+)$/, path: '/versions/{version}' },
+  docker: { pattern: /^([\w.-]+):([\w.-]+)$/, path: '/tags?name={version}', imageName: true }
+};
+
+/**
+ * 拆分包名与版本号，@scope/pkg@1.0 → {name: '@scope/pkg', version: '1.0'}
+ * @param {string} platform - 平台key
+ * @param {string} name - 可能带版本号的包名
+ * @returns {{name: string, version: string}} 不带版本时 version 为空字符串
+ */
+function splitPackageVersion(platform, name) {
+  const format = PACKAGE_VERSION_FORMATS[platform];
+  const match = format && name ? name.match(format.pattern) : null;
+  return match ? { name: match[1], version: match[2] } : { name, version: '' };
+}
+
+/**
+ * 生成版本页路径
+ * @param {string} platform - 平台key
+ * @param {string} version - 版本号或标签
+ * @returns {string}
+ */
+function buildVersionPath(platform, version) {
+  const format = PACKAGE_VERSION_FORMATS[platform];
+  return format ? format.path.replace('{version}', encodeURIComponent(version)) : '';
+}
+
+/**
+ * 解析包管理平台的包名输入（含版本号）
+ * 镜像平台（Docker）支持 nginx、nginx:1.25、bitnami/redis:7
+ *
+ * @param {string} platform - 平台key
+ * @param {string} name - 用户输入的名称
+ * @returns {Object|null} {platform, owner, repo, path}，非包管理平台或格式不符时返回 null
+ */
+function parsePackageName(platform, name) {
+  const config = PLATFORMS[platform];
+  const format = PACKAGE_VERSION_FORMATS[platform];
+  if (!config || !name) return null;
+
+  if (config.singleName) {
+    const { name: pkg, version } = splitPackageVersion(platform, name);
+    return { platform, owner: pkg, repo: '', path: version ? buildVersionPath(platform, version) : '' };
+  }
+
+  if (!format || !format.imageName) return null;
+
+  const segments = name.split('/');
+  if (segments.length === 1) segments.unshift('library');
+  if (segments.length !== 2 || !segments[0]) return null;
+
+  const { name: repo, version } = splitPackageVersion(platform, segments[1]);
+  return { platform, owner: segments[0], repo, path: version ? buildVersionPath(platform, version) : '' };
+}
+
+// ==================== 安装命令解析 ====================
+
+/**
+ * 各包管理器的安装命令
+ * - commands: 命令前缀（按词匹配）
+ * - valueFlags: 需要跟一个参数值的选项，解析时连同参数一起跳过
+ * - parseName: 从第一个位置参数中提取包名（去除版本号、标签等），返回 {owner, repo} 或 null
+ */
+const INSTALL_COMMANDS = [
+  {
+    platform: 'npm',
+    commands: ['npm install', 'npm i', 'npm add', 'pnpm add', 'pnpm install', 'pnpm i', 'yarn add', 'yarn global add', 'bun add', 'bun install', 'bun i'],
+    valueFlags: ['--registry', '--prefix', '--tag', '-w', '--workspace', '--filter'],
+    // @scope/pkg@1.0 → @scope/pkg
+    parseName: (arg) => {
+      const match = arg.match(/^((?:@[\w.-]+\/)?[\w.-]+)(?:@.*)?$/);
+      return match ? { owner: match[1], repo: '' } : null;
+    }
+  },
+  {
+    platform: 'pypi',
+    commands: ['pip install', 'pip3 install', 'python -m pip install', 'python3 -m pip install', 'uv add', 'uv pip install', 'poetry add', 'pipx install', 'pdm add'],
+    valueFlags: ['-r', '--requirement', '-c', '--constraint', '-i', '--index-url', '--extra-index-url', '-t', '--target', '-e', '--editable', '--group', '-G'],
+    // requests[security]>=2.0 → requests
+    parseName: (arg) => {
+      const match = arg.match(/^([A-Za-z0-9][\w.-]*)(?:\[[^\]]*\])?(?:\s*[<>=!~;@].*)?$/);
+      return match ? { owner: match[1], repo: '' } : null;
+    }
+  },
+  {
+    platform: 'crates',
+    commands: ['cargo add', 'cargo install'],
+    valueFlags: ['-F', '--features', '--version', '--vers', '--git', '--branch', '--tag', '--rev', '--path', '--registry', '-p', '--package', '--rename', '--root'],
+    // serde@1.0 → serde
+    parseName: (arg) => {
+      const match = arg.match(/^([\w-]+)(?:@.*)?$/);
+      return match ? { owner: match[1], repo: '' } : null;
+    }
+  },
+  {
+    platform: 'rubygems',
+    commands: ['gem install', 'bundle add'],
+    valueFlags: ['-v', '--version', '-s', '--source', '--group'],
+    parseName: (arg) => {
+      const match = arg.match(/^([\w.-]+)(?:[:@].*)?$/);
+      return match ? { owner: match[1], repo: '' } : null;
+    }
+  },
+  {
+    platform: 'packagist',
+    commands: ['composer require'],
+    valueFlags: [],
+    // vendor/package:^2.0 → vendor/package
+    parseName: (arg) => {
+      const match = arg.match(/^([\w.-]+)\/([\w.-]+)(?:[:@].*)?$/);
+      return match ? { owner: match[1], repo: match[2] } : null;
+    }
+  },
+  {
+    platform: 'nuget',
+    commands: ['dotnet add package', 'install-package', 'nuget install'],
+    valueFlags: ['-v', '--version', '-s', '--source', '-f', '--framework', '-version'],
+    parseName: (arg) => {
+      const match = arg.match(/^([\w.-]+)$/);
+      return match ? { owner: match[1], repo: '' } : null;
+    }
+  },
+  {
+    platform: 'docker',
+    commands: ['docker pull', 'docker run', 'podman pull', 'podman run'],
+    valueFlags: ['--platform', '--name', '-p', '--publish', '-v', '--volume', '-e', '--env', '--network', '-w', '--workdir', '--entrypoint', '-u', '--user'],
+    // nginx:alpine → library/nginx；docker.io/bitnami/redis:7 → bitnami/redis；其他镜像仓库不处理
+    parseName: (arg) => {
+      const segments = arg.replace(/[@:][^/]*$/, '').split('/');
+      if (segments.length > 1 && /[.:]|^localhost$/.test(segments[0])) {
+        if (!/^(?:docker\.io|index\.docker\.io|registry-1\.docker\.io)$/.test(segments.shift())) return null;
+      }
+      if (segments.length === 1) segments.unshift('library');
+      if (segments.length !== 2 || !segments.every(segment => /^[\w.-]+$/.test(segment))) return null;
+      return { owner: segments[0], repo: segments[1] };
+    }
+  },
+  {
+    // 托管在代码平台上的模块直接打开仓库：github.com/x/y/v2@v2.1.0 → github.com/x/y
+    // 其他模块路径（如 golang.org/x/tools）打开 pkg.go.dev
+    platform: null,
+    commands: ['go get', 'go install'],
+    valueFlags: [],
+    parseName: (arg) => {
+      const modulePath = arg.replace(/@.*$/, '');
+      const parsed = parseRepoInput(modulePath);
+      if (parsed) return { ...parsed, path: '' };
+      return /^[\w.-]+\.[a-z]+\/[\w./-]+$/i.test(modulePath) ? { platform: 'go', owner: modulePath, repo: '' } : null;
+    }
+  }
+];
+
+/**
+ * 命令之间的 shell 分隔符，遇到时停止解析参数
+ */
+const SHELL_SEPARATORS = ['&&', '||', ';', '|', '&'];
+
+/**
+ * 将命令文本拆分为词，去掉成对的引号（如 "requests>=2"）
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeCommand(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
+
+/**
+ * 从指定位置开始按某个安装命令解析包名
+ * @param {Object} spec - INSTALL_COMMANDS 中的条目
+ * @param {string[]} tokens - 命令后面的词
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function parseInstallArgs(spec, tokens) {
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (SHELL_SEPARATORS.includes(token)) return null;
+
+    if (token.startsWith('-')) {
+      // --flag value 形式需要跳过参数值；--flag=value 为单个词
+      if (!token.includes('=') && spec.valueFlags.includes(token.toLowerCase())) i += 1;
+      continue;
+    }
+
+    const name = spec.parseName(token.replace(/[,;]+$/, ''));
+    if (!name) return null;
+
+    const platform = spec.platform || name.platform;
+    return { platform, owner: name.owner, repo: name.repo || '', path: name.path || '' };
+  }
+  return null;
+}
+
+/**
+ * 解析以安装命令开头的输入，如 "npm install -D @types/node"、"pip install \"requests>=2\""
+ * 允许以 $ 或 > 提示符开头，可带 sudo
+ *
+ * @param {string} input - 用户输入
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function parseInstallCommand(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = tokenizeCommand(input.trim().replace(/^[$>]\s*/, ''));
+  if (tokens[0] === 'sudo') tokens.shift();
+
+  const lowerTokens = tokens.map(token => token.toLowerCase());
+  for (const spec of INSTALL_COMMANDS) {
+    for (const command of spec.commands) {
+      const words = command.split(' ');
+      if (words.every((word, i) => lowerTokens[i] === word)) {
+        return parseInstallArgs(spec, tokens.slice(words.length));
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 在一段文本中查找第一个安装命令（如选中的文档段落 "run npm i react to start"）
+ * @param {string} text - 任意文本
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function findInstallCommand(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const tokens = text.split(/\s+/);
+  for (let i = 0; i < tokens.length; i++) {
+    const tool = tokens[i].replace(/^[`$>]+/, '').toLowerCase();
+    const isCommandStart = INSTALL_COMMANDS.some(spec =>
+      spec.commands.some(command => command.split(' ')[0] === tool));
+    if (!isCommandStart) continue;
+
+    const parsed = parseInstallCommand(tokens.slice(i).join(' ').replace(/^[`$>]+/, '').replace(/`.*$/s, ''));
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+// ==================== 选中文本识别 ====================
+
+/**
+ * 单个词选中时尝试的包管理平台
+ */
+const SELECTION_PACKAGE_PLATFORMS = ['npm', 'pypi', 'crates', 'rubygems'];
+
+/**
+ * 选中文本最多识别的目标数（对应右键子菜单项数）
+ */
+const SELECTION_MAX_TARGETS = 6;
+
+/**
+ * 包名格式（允许 npm 的 @scope/name）
+ */
+const PACKAGE_NAME_PATTERN = /^@?[\w.-]+(?:\/[\w.-]+)?(?:(?:@|==)[\w.+-]+)?$/;
+
+/**
+ * 识别选中文本中可打开的仓库或包
+ * - 含仓库链接：每个链接一项
+ * - 带平台关键词（如 "npm react"、"vercel/next.js gl"）：该平台一项
+ * - owner/repo：各主要代码托管平台各一项（默认平台在前）
+ * - 单个包名：各包管理平台各一项
+ *
+ * @param {string} text - 选中文本
+ * @returns {Object[]} 目标列表 {platform, owner, repo, path}
+ */
+function detectSelectionTargets(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  const trimmed = text.trim();
+  const targets = [];
+  const seen = new Set();
+
+  function add({ platform, owner, repo = '', path = '' }) {
+    const key = `${platform}:${owner}/${repo}${path}`;
+    if (seen.has(key) || targets.length >= SELECTION_MAX_TARGETS) return;
+    seen.add(key);
+    targets.push({ platform, owner, repo, path });
+  }
+
+  extractAllInlineUrls(trimmed)
+    .filter(item => item.type === 'repo')
+    .forEach(add);
+  if (targets.length > 0) return targets;
+
+  // 文本中的安装命令，如 "run npm i react to start"
+  const installTarget = findInstallCommand(trimmed);
+  if (installTarget) {
+    add(installTarget);
+    return targets;
+  }
+
+  const parts = trimmed.split(/\s+/);
+  if (parts.length > 3) return targets;
+
+  // 使用全局 DEFAULT_PLATFORM（从 background.js 定义）或默认为 'github'
+  const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+  const keywordPlatform = parts.length >= 2
+    ? findPlatformByKeyword(parts[0]) || findPlatformByKeyword(parts[parts.length - 1])
+    : null;
+
+  const parsed = parseSearchQuery(trimmed);
+  if (parsed) {
+    if (keywordPlatform) {
+      add(parsed);
+    } else {
+      [defaultPlatform, ...MULTI_OPEN_PLATFORMS]
+        .forEach(platform => add({ ...parsed, platform }));
+    }
+    return targets;
+  }
+
+  // 单个名称：指定了 singleName 平台时只用该平台，否则尝试常见包管理平台
+  const name = keywordPlatform
+    ? parts.filter(part => findPlatformByKeyword(part) !== keywordPlatform).join(' ')
+    : trimmed;
+  if (!PACKAGE_NAME_PATTERN.test(name)) return targets;
+
+  const platforms = keywordPlatform ? [keywordPlatform] : SELECTION_PACKAGE_PLATFORMS;
+  platforms
+    .filter(platform => PLATFORMS[platform].singleName)
+    .filter(platform => !name.includes('@') || PLATFORMS[platform].allowAt)
+    .filter(platform => !name.includes('/') || name.startsWith('@'))
+    .forEach(platform => add(parsePackageName(platform, name)));
+
+  return targets;
+}
+
+// ==================== 输入解析 ====================
+// Omnibox 与弹出窗口共用：把用户输入解析为要打开的目标
+
+/**
+ * 解析 Omnibox / 快捷启动输入
+ * 别名（需读取存储）与源码查询（需联网）由调用方在此之前处理
+ * - 多平台同时打开：react/react *
+ * - 完整 URL、文本中零散的 URL、安装命令
+ * - 平台关键词（git → GitHub 首页）、用户名、owner/repo、子命令、包名
+ *
+ * @param {string} input - 用户输入
+ * @returns {Object|null} 空输入时返回 null，否则为以下之一：
+ *   {type: 'multi', name, targets}
+ *   {type: 'url', url, platform, unsupportedCommand?}：平台不支持子命令时为仓库首页，unsupportedCommand 为该子命令
+ *   {type: 'invalid', platform, name}：名称不符合平台格式（如 "maven org.apache/commons"），由调用方提示用户
+ */
+function resolveLauncherInput(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const trimmedText = input.trim();
+  if (!trimmedText) return null;
+
+  // 使用全局 DEFAULT_PLATFORM（由 background.js / popup.js 定义）或默认为 'github'
+  const defaultPlatform = (typeof DEFAULT_PLATFORM !== 'undefined') ? DEFAULT_PLATFORM : 'github';
+  const openTarget = (platform, owner, repo, path) => {
+    const url = buildRepoUrl(platform, owner, repo, path);
+    return url ? { type: 'url', url, platform } : null;
+  };
+
+  // 多平台同时打开
+  const multiOpen = parseMultiOpenInput(trimmedText);
+  if (multiOpen) {
+    return { type: 'multi', name: multiOpen.name, targets: buildMultiOpenUrls(multiOpen) };
+  }
+
+  // 0. 独立通用 URL（如 https://www.bilibili.com/...）
+  if (isStandaloneGenericUrl(trimmedText)) {
+    const url = normalizeGenericUrl(trimmedText);
+    return { type: 'url', url, platform: parsePlatformUrl(url)?.platform || null };
+  }
+
+  // 0b. 安装命令：去掉选项和版本号后打开对应包管理平台
+  const installTarget = findInstallCommand(trimmedText);
+  if (installTarget) {
+    return openTarget(installTarget.platform, installTarget.owner, installTarget.repo, installTarget.path);
+  }
+
+  let platform = defaultPlatform;
+  let inputName = trimmedText;
+  let owner = '';
+  let repo = '';
+  let path = '';
+
+  // 1. 完整 URL：直接识别平台并按仓库路径打开
+  const urlMatch = trimmedText.match(FULL_URL_PATTERN);
+  if (urlMatch) {
+    const [, domain, ownerMatch, repoMatch, pathMatch = ''] = urlMatch;
+    const detectedPlatform = findPlatformByDomain(domain);
+    if (detectedPlatform) {
+      platform = detectedPlatform;
+      owner = ownerMatch;
+      repo = repoMatch;
+      path = pathMatch;
+    }
+    return openTarget(platform, owner, repo, path);
+  }
+
+  const hasSlash = trimmedText.includes('/');
+  const hasSpace = /\s/.test(trimmedText);
+
+  // 1b. 文本中含零散 URL：打开第一个匹配项
+  const inlineUrls = extractAllInlineUrls(trimmedText);
+  if (!findPackageKeywordPlatform(trimmedText) && shouldShowInlineUrlSuggestions(trimmedText, inlineUrls)) {
+    const first = inlineUrls[0];
+    return { type: 'url', url: first.url, platform: first.platform || null };
+  }
+
+  // 2. 如果是单词（无空格无 /）：
+  if (!hasSlash && !hasSpace) {
+    const lower = trimmedText.toLowerCase();
+
+    // 2.1 先看是否像是在“搜平台”（git → GitHub/GitLab，doc → Docker等）
+    const matchedPlatforms = Object.entries(PLATFORMS)
+      .filter(([key, cfg]) => cfg.keywords.some(kw => kw.startsWith(lower)));
+
+    if (matchedPlatforms.length > 0) {
+      // 打开对应平台首页，默认平台优先
+      matchedPlatforms.sort(([aKey], [bKey]) => {
+        if (aKey === defaultPlatform) return -1;
+        if (bKey === defaultPlatform) return 1;
+        return 0;
+      });
+
+      const [firstKey, firstCfg] = matchedPlatforms[0];
+      return { type: 'url', url: `https://${firstCfg.domain}/`, platform: firstKey };
+    }
+
+    // 2.2 否则视为“用户/组织名”：github.com/name, gitlab.com/name ...
+    const defaultCfg = PLATFORMS[defaultPlatform];
+    return { type: 'url', url: `https://${defaultCfg.domain}/${trimmedText}`, platform: defaultPlatform };
+  }
+
+  // 2b. 仓库名 + 子命令：按平台结构打开深层链接，平台没有该页面时打开仓库首页
+  const repoCommand = parseRepoCommand(trimmedText);
+  if (repoCommand) {
+    const commandPath = buildSubCommandPath(repoCommand.platform, repoCommand.command, repoCommand.arg);
+    const target = openTarget(repoCommand.platform, repoCommand.owner, repoCommand.repo, commandPath || '');
+    if (target && commandPath === null) {
+      target.unsupportedCommand = repoCommand.command;
+    }
+    return target;
+  }
+
+  // 3. 包含空格：前后部分中优先把前一个当平台，其次后一个
+  const parts = trimmedText.split(/\s+/);
+  if (parts.length >= 2) {
+    const [first, ...rest] = parts;
+    const last = rest[rest.length - 1];
+    const firstPlatform = findPlatformByKeyword(first);
+    const lastPlatform = findPlatformByKeyword(last);
+
+    if (firstPlatform) {
+      platform = firstPlatform;
+      inputName = rest.join(' ');
+    } else if (lastPlatform) {
+      platform = lastPlatform;
+      inputName = parts.slice(0, -1).join(' ');
+    }
+  }
+
+  const packageTarget = parsePackageName(platform, inputName);
+
+  // 4. 包管理平台：整个 inputName 当作包名，可带版本号（react@18.2.0、nginx:1.25）
+  if (packageTarget) {
+    return openTarget(platform, packageTarget.owner, packageTarget.repo, packageTarget.path);
+  }
+
+  // 5. 代码托管平台：有 / 当仓库；无 / 当用户
+  if (!inputName.includes('/')) {
+    return { type: 'url', url: `https://${PLATFORMS[platform].domain}/${inputName}`, platform };
+  }
+
+  const repoName = stripOwnerSigil(platform, inputName);
+  const m = repoName.match(REPO_WITH_PATH_PATTERN) || repoName.match(REPO_PATTERN);
+  return (m && openTarget(platform, m[1], m[2], m[3] || '')) || { type: 'invalid', platform, name: inputName };
+}
+
 // ==================== 导出 ====================
 // Service Worker 使用 importScripts 导入，所有变量和函数自动成为全局变量
 // 无需显式导出，background.js 可以直接访问所有常量和函数
@@ -0,0 +1,348 @@
+// ==================== 浏览器兼容层 ====================
+const browserAPI = globalThis.browser || globalThis.chrome;
+
+// 默认平台（platforms.js 中的解析函数通过全局变量读取）
+let DEFAULT_PLATFORM = 'github';
+
+// DOM 元素
+const launcherForm = document.getElementById('launcherForm');
+const launcherInput = document.getElementById('launcherInput');
+const platformChips = document.getElementById('platformChips');
+const previewList = document.getElementById('previewList');
+const aliasSection = document.getElementById('aliasSection');
+const aliasList = document.getElementById('aliasList');
+const recentSection = document.getElementById('recentSection');
+const recentList = document.getElementById('recentList');
+const counterpartBtn = document.getElementById('counterpartBtn');
+const optionsBtn = document.getElementById('optionsBtn');
+
+// 由快捷键打开的独立窗口：URL 中携带预填内容和来源标签页
+const params = new URLSearchParams(location.search);
+const isLauncherWindow = params.has('tabId');
+const sourceTabId = Number(params.get('tabId')) || null;
+
+// 每个分组最多显示的条目数
+const MAX_RESULTS = 6;
+
+// 本地数据（全部来自存储，无需联网）
+let repoAliases = [];
+let historyEntries = [];
+let completionIndex = [];
+let selectedPlatform = null;
+let currentTab = null;
+
+// 当前可用键盘选择的条目 {el, value}
+let rows = [];
+let selectedIndex = 0;
+
+// 国际化处理
+function localizeHtml() {
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    const message = browserAPI.i18n.getMessage(el.getAttribute('data-i18n'));
+    if (message) {
+      el.textContent = message;
+    }
+  });
+
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    const message = browserAPI.i18n.getMessage(el.getAttribute('data-i18n-placeholder'));
+    if (message) {
+      el.placeholder = message;
+    }
+  });
+}
+
+// 合并自定义平台与自建实例，读取默认平台（与后台保持一致）
+async function loadUserPlatforms() {
+  const result = await browserAPI.storage.sync.get({
+    customPlatforms: [],
+    selfHostedInstances: [],
+    defaultPlatform: 'github'
+  });
+
+  applyCustomPlatforms(result.customPlatforms);
+  applySelfHostedInstances(result.selfHostedInstances);
+  if (PLATFORMS[result.defaultPlatform]) {
+    DEFAULT_PLATFORM = result.defaultPlatform;
+  }
+}
+
+// 读取别名、历史与收藏
+async function loadLocalData() {
+  const [aliases, entries, favorites] = await Promise.all([
+    getAliases(),
+    getHistoryEntries(),
+    getFavoriteRepos()
+  ]);
+
+  repoAliases = aliases.filter(alias => PLATFORMS[alias.platform]);
+  historyEntries = entries.filter(entry => PLATFORMS[entry.platform]);
+  completionIndex = buildCompletionIndex(historyEntries, favorites);
+}
+
+// 选中平台标签时，在输入前补上平台关键词（输入中已有平台关键词时不补）
+function getEffectiveInput() {
+  const text = launcherInput.value.trim();
+  if (!text || !selectedPlatform) return text;
+
+  const hasKeyword = text.split(/\s+/).some(part => findPlatformByKeyword(part));
+  return hasKeyword ? text : `${PLATFORMS[selectedPlatform].keywords[0]} ${text}`;
+}
+
+// 创建一条结果
+function createRow({ platform, text, meta, value }) {
+  const config = PLATFORMS[platform];
+  const li = document.createElement('li');
+  li.className = 'result';
+
+  const badge = document.createElement('span');
+  badge.className = 'result-badge';
+  badge.textContent = config?.abbr || 'OI';
+  badge.style.setProperty('--badge-color', config?.color || '#8b9cb3');
+
+  const textEl = document.createElement('span');
+  textEl.className = 'result-text';
+  textEl.textContent = text;
+  textEl.title = text;
+
+  const metaEl = document.createElement('span');
+  metaEl.className = 'result-meta';
+  metaEl.textContent = meta || config?.name || '';
+
+  li.appendChild(badge);
+  li.appendChild(textEl);
+  li.appendChild(metaEl);
+  li.addEventListener('click', (event) => {
+    openValue(value, event.ctrlKey || event.metaKey);
+  });
+
+  rows.push({ el: li, value });
+  return li;
+}
+
+// 回车后的打开目标，与地址栏 Omnibox 的解析规则相同
+function renderPreview(input) {
+  previewList.innerHTML = '';
+  if (!input) return;
+
+  const aliasTarget = resolveAlias(repoAliases, input);
+  if (aliasTarget) {
+    previewList.appendChild(createRow({
+      platform: aliasTarget.platform,
+      text: getAliasTargetText(aliasTarget),
+      meta: `${browserAPI.i18n.getMessage('omnibox_alias_label')}: ${aliasTarget.alias.name}`,
+      value: input
+    }));
+    return;
+  }
+
+  const sourceCommand = parseSourceCommand(input);
+  if (sourceCommand) {
+    previewList.appendChild(createRow({
+      platform: sourceCommand.platform,
+      text: sourceCommand.name,
+      meta: browserAPI.i18n.getMessage('omnibox_source_suggestion', [PLATFORMS[sourceCommand.platform].name]),
+      value: input
+    }));
+    return;
+  }
+
+  const target = resolveLauncherInput(input);
+  if (!target) return;
+
+  // 名称不符合平台格式：只提示，不提供可打开的条目
+  if (target.type === 'invalid') {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = browserAPI.i18n.getMessage('launcher_invalid_input', [PLATFORMS[target.platform].name]);
+    previewList.appendChild(empty);
+    return;
+  }
+
+  if (target.type === 'multi') {
+    const names = target.targets.map(({ platform }) => PLATFORMS[platform].name).join(', ');
+    previewList.appendChild(createRow({
+      platform: target.targets[0].platform,
+      text: target.name,
+      meta: browserAPI.i18n.getMessage('omnibox_multi_open', [names]),
+      value: input
+    }));
+    return;
+  }
+
+  previewList.appendChild(createRow({
+    platform: target.platform,
+    text: target.url.replace(/^https?:\/\//, ''),
+    meta: target.unsupportedCommand
+      ? browserAPI.i18n.getMessage('launcher_command_fallback', [PLATFORMS[target.platform].name])
+      : '',
+    value: input
+  }));
+}
+
+// 别名：无输入时全部列出，单个词输入时按前缀匹配
+function renderAliases(input) {
+  aliasList.innerHTML = '';
+  if (/\s/.test(input)) {
+    aliasSection.hidden = true;
+    return;
+  }
+
+  const aliases = (input ? matchAliases(repoAliases, input) : repoAliases)
+    .filter(alias => !selectedPlatform || alias.platform === selectedPlatform)
+    .slice(0, MAX_RESULTS);
+
+  aliases.forEach(alias => {
+    aliasList.appendChild(createRow({
+      platform: alias.platform,
+      text: `${alias.name} → ${getAliasTargetText(alias)}`,
+      value: alias.name
+    }));
+  });
+  aliasSection.hidden = aliases.length === 0;
+}
+
+// 最近打开：无输入时按 frecency 排序，有输入时在历史和收藏中模糊匹配
+function renderRecent(input) {
+  recentList.innerHTML = '';
+  if (/\s/.test(input)) {
+    recentSection.hidden = true;
+    return;
+  }
+
+  const items = input
+    ? completeRepos(completionIndex, input, MAX_RESULTS * 2).map(({ item }) => item)
+    : rankHistory(historyEntries, '', MAX_RESULTS * 2);
+  const visible = items
+    .filter(item => !selectedPlatform || item.platform === selectedPlatform)
+    .slice(0, MAX_RESULTS);
+
+  visible.forEach(item => {
+    const label = item.source === 'favorite' ? 'omnibox_favorite_label' : 'omnibox_history_label';
+    recentList.appendChild(createRow({
+      platform: item.platform,
+      text: getHistoryEntryName(item),
+      meta: input ? `${PLATFORMS[item.platform].name} · ${browserAPI.i18n.getMessage(label)}` : PLATFORMS[item.platform].name,
+      value: buildRepoUrl(item.platform, item.owner, item.repo, '')
+    }));
+  });
+
+  if (visible.length === 0 && !input) {
+    const empty = document.createElement('li');
+    empty.className = 'empty';
+    empty.textContent = browserAPI.i18n.getMessage('command_no_history');
+    recentList.appendChild(empty);
+  }
+  recentSection.hidden = visible.length === 0 && Boolean(input);
+}
+
+function render() {
+  rows = [];
+  const input = launcherInput.value.trim();
+
+  renderPreview(getEffectiveInput());
+  renderAliases(input);
+  renderRecent(input);
+
+  selectedIndex = 0;
+  updateSelection();
+}
+
+function updateSelection() {
+  rows.forEach((row, index) => {
+    row.el.classList.toggle('is-selected', index === selectedIndex);
+  });
+  rows[selectedIndex]?.el.scrollIntoView({ block: 'nearest' });
+}
+
+// 平台标签：点击切换，选中后输入按该平台解析，列表也只显示该平台
+function renderPlatformChips() {
+  platformChips.innerHTML = '';
+
+  Object.entries(PLATFORMS)
+    .filter(([, config]) => config.keywords && config.keywords.length > 0)
+    .forEach(([key, config]) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = key === selectedPlatform ? 'chip is-active' : 'chip';
+      chip.textContent = config.name;
+      chip.title = config.keywords.join(', ');
+      chip.style.setProperty('--chip-color', config.color || 'var(--accent-color)');
+      chip.addEventListener('click', () => {
+        selectedPlatform = selectedPlatform === key ? null : key;
+        renderPlatformChips();
+        render();
+        launcherInput.focus();
+      });
+      platformChips.appendChild(chip);
+    });
+}
+
+// 交给后台打开：工具栏弹出窗口默认在当前标签页打开，独立窗口始终新开标签页
+async function openValue(value, newTab = false) {
+  if (!value) return;
+
+  await browserAPI.runtime.sendMessage({
+    action: 'openLauncherInput',
+    text: value,
+    tabId: sourceTabId,
+    disposition: isLauncherWindow || newTab ? 'newForegroundTab' : 'currentTab'
+  });
+  window.close();
+}
+
+// 当前页面是可识别的仓库时，提供“在对应平台打开”
+async function loadCurrentTab() {
+  if (isLauncherWindow) {
+    currentTab = sourceTabId ? await browserAPI.tabs.get(sourceTabId).catch(() => null) : null;
+  } else {
+    [currentTab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+  }
+
+  const source = currentTab?.url ? parsePlatformUrl(currentTab.url) : null;
+  counterpartBtn.hidden = !(source && source.repo && getPathLayout(source.platform));
+}
+
+function handleKeydown(event) {
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (rows.length === 0) return;
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    selectedIndex = (selectedIndex + step + rows.length) % rows.length;
+    updateSelection();
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    openValue(rows[selectedIndex]?.value || getEffectiveInput(), event.ctrlKey || event.metaKey);
+  } else if (event.key === 'Escape') {
+    window.close();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  localizeHtml();
+  document.body.classList.toggle('is-window', isLauncherWindow);
+
+  launcherInput.value = params.get('q') || '';
+  launcherInput.focus();
+  launcherInput.select();
+
+  await loadUserPlatforms();
+  await loadLocalData();
+  renderPlatformChips();
+  render();
+  loadCurrentTab();
+
+  launcherForm.addEventListener('submit', event => event.preventDefault());
+  launcherInput.addEventListener('input', render);
+  launcherInput.addEventListener('keydown', handleKeydown);
+
+  counterpartBtn.addEventListener('click', async () => {
+    await browserAPI.runtime.sendMessage({ action: 'openCounterpart', tabId: currentTab.id });
+    window.close();
+  });
+
+  optionsBtn.addEventListener('click', () => {
+    browserAPI.runtime.openOptionsPage();
+    window.close();
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * OpenIn - 包注册表源码仓库解析模块
+ *
+ * 根据包注册表的元数据（npm 的 repository、PyPI 的 project_urls、
+ * crates.io 的 repository 等）找到包对应的源码仓库。
+ * 网络请求与缓存均通过参数注入，可替换为本地实现。
+ */
+
+// ==================== 注册表适配器 ====================
+
+/**
+ * 各注册表的元数据地址与仓库地址提取规则
+ * - metadataUrl: 根据包名生成元数据 JSON 地址
+ * - extractRepoUrls: 从元数据中按优先级提取候选仓库地址
+ */
+const REGISTRY_SOURCES = {
+  npm: {
+    metadataUrl: name => `https://registry.npmjs.org/${name.replace('/', '%2F')}/latest`,
+    extractRepoUrls: (data) => {
+      const repository = data.repository;
+      const url = typeof repository === 'string' ? repository : repository?.url;
+      return [url, data.homepage, data.bugs?.url];
+    }
+  },
+  pypi: {
+    metadataUrl: name => `https://pypi.org/pypi/${encodeURIComponent(name)}/json`,
+    extractRepoUrls: (data) => {
+      const info = data.info || {};
+      const projectUrls = info.project_urls || {};
+      const preferred = ['source', 'source code', 'repository', 'code', 'github', 'homepage'];
+      const byName = Object.entries(projectUrls)
+        .map(([label, url]) => [label.toLowerCase(), url]);
+      const sorted = preferred
+        .map(label => byName.find(([key]) => key === label)?.[1]);
+      return [...sorted, ...byName.map(([, url]) => url), info.home_page];
+    }
+  },
+  crates: {
+    metadataUrl: name => `https://crates.io/api/v1/crates/${encodeURIComponent(name)}`,
+    extractRepoUrls: data => [data.crate?.repository, data.crate?.homepage]
+  },
+  rubygems: {
+    metadataUrl: name => `https://rubygems.org/api/v1/gems/${encodeURIComponent(name)}.json`,
+    extractRepoUrls: data => [data.source_code_uri, data.homepage_uri, data.bug_tracker_uri]
+  }
+};
+
+/**
+ * 触发源码解析的命令关键词，如 "src npm:react"
+ */
+const SOURCE_COMMAND_KEYWORDS = ['src', 'source'];
+
+/**
+ * 成功与失败查询的缓存时长
+ */
+const SOURCE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+const SOURCE_MISS_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// ==================== 解析函数 ====================
+
+/**
+ * 解析源码查询命令
+ * 支持：src npm:react、src npm react、src react（默认 npm）
+ *
+ * @param {string} input - 用户输入
+ * @returns {{platform: string, name: string}|null}
+ */
+function parseSourceCommand(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const tokens = input.trim().split(/\s+/);
+  if (tokens.length < 2 || !SOURCE_COMMAND_KEYWORDS.includes(tokens[0].toLowerCase())) return null;
+
+  const rest = tokens.slice(1);
+  let platform = 'npm';
+  let name = rest[0];
+
+  const prefixed = rest[0].match(/^([a-z]+):(.+)$/i);
+  if (prefixed && rest.length === 1) {
+    platform = findPlatformByKeyword(prefixed[1]);
+    name = prefixed[2];
+  } else if (rest.length === 2) {
+    platform = findPlatformByKeyword(rest[0]);
+    name = rest[1];
+  } else if (rest.length !== 1) {
+    return null;
+  }
+
+  if (!platform || !REGISTRY_SOURCES[platform] || !name) return null;
+  return { platform, name };
+}
+
+/**
+ * 将注册表中的仓库地址规范化为可解析的 URL
+ * 处理 git+https://、git://、git@host:owner/repo.git、github:owner/repo 等写法
+ *
+ * @param {string} rawUrl - 注册表中的原始地址
+ * @returns {string|null}
+ */
+function normalizeRepositoryUrl(rawUrl) {
+  if (!rawUrl || typeof rawUrl !== 'string') return null;
+
+  let url = rawUrl.trim()
+    .replace(/^git\+/, '')
+    .replace(/^(?:git|ssh):\/\/(?:git@)?/, 'https://')
+    .replace(/^git@([^:/]+):/, 'https://$1/')
+    .replace(/^(github|gitlab|bitbucket):([^/]+\/)/, (_, host, rest) => {
+      const domain = host === 'bitbucket' ? 'bitbucket.org' : `${host}.com`;
+      return `https://${domain}/${rest}`;
+    })
+    .replace(/[#?].*$/, '')
+    .replace(/\/+$/, '');
+
+  // 仓库名末尾的 .git 后缀
+  url = url.replace(/^(https?:\/\/[^/]+\/[^/]+\/[^/]+?)\.git(?=\/|$)/, '$1');
+
+  return /^https?:\/\//.test(url) ? url : null;
+}
+
+/**
+ * 从候选地址中找出第一个可识别的代码托管平台仓库
+ * @param {Array<string|undefined>} candidates - 候选地址
+ * @returns {Object|null} {platform, owner, repo, path} 或 null
+ */
+function pickSourceRepository(candidates) {
+  for (const candidate of candidates) {
+    const url = normalizeRepositoryUrl(candidate);
+    if (!url) continue;
+
+    // 只接受代码托管平台（含自建实例），排除主页指向 npm、Docker Hub 等的情况
+    const parsed = parseRepoInput(url);
+    if (parsed && (getPathLayout(parsed.platform) || PLATFORMS[parsed.platform].custom)) {
+      return parsed;
+    }
+  }
+  return null;
+}
+
+// ==================== 解析器 ====================
+
+/**
+ * 默认的 JSON 请求实现
+ * @param {string} url
+ * @returns {Promise<Object|null>} 404 时返回 null
+ */
+async function fetchRegistryJson(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Registry request failed (${response.status}): ${url}`);
+  }
+  return response.json();
+}
+
+/**
+ * 创建源码仓库解析器
+ *
+ * @param {Object} options
+ * @param {function(string): Promise<Object|null>} [options.fetchJson] - 请求元数据，默认使用 fetch
+ * @param {Object} [options.storage] - 缓存存储，需实现 get/set（如 storage.local），缺省时不缓存
+ * @param {Object} [options.sources] - 注册表适配器，默认 REGISTRY_SOURCES
+ * @returns {{resolve: function(string, string): Promise<Object|null>}}
+ */
+function createSourceResolver({ fetchJson = fetchRegistryJson, storage = null, sources = REGISTRY_SOURCES } = {}) {
+  async function readCache(key) {
+    if (!storage) return undefined;
+    const result = await storage.get(key);
+    const entry = result[key];
+    if (!entry) return undefined;
+
+    const ttl = entry.target ? SOURCE_CACHE_TTL : SOURCE_MISS_CACHE_TTL;
+    if (Date.now() - entry.timestamp > ttl) return undefined;
+    return entry.target;
+  }
+
+  async function writeCache(key, target) {
+    if (!storage) return;
+    await storage.set({ [key]: { target, timestamp: Date.now() } });
+  }
+
+  /**
+   * 解析包对应的源码仓库
+   * @param {string} platform - 注册表平台key（npm、pypi 等）
+   * @param {string} name - 包名
+   * @returns {Promise<Object|null>} {platform, owner, repo, path} 或 null
+   */
+  async function resolve(platform, name) {
+    const source = sources[platform];
+    if (!source || !name) return null;
+
+    const cacheKey = `source_lookup_${platform}:${name.toLowerCase()}`;
+    const cached = await readCache(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const data = await fetchJson(source.metadataUrl(name));
+    const target = data ? pickSourceRepository(source.extractRepoUrls(data)) : null;
+
+    await writeCache(cacheKey, target);
+    return target;
+  }
+
+  return { resolve };
+}
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 const archiver = require('archiver');
 
 // 排除的目录和文件
@@ -9,6 +10,7 @@ const EXCLUDE = [
   'node_modules',
   'dist',
   'scripts',
+  'test',
   '.git',
   '.gitignore',
   'package.json',
@@ -34,12 +36,73 @@ function syncVersionToManifest(version) {
   console.log(`📝 版本号已同步到 manifest.json: ${version}`);
 }
 
+// 在沙箱中加载 platforms.js，取得平台配置及匹配规则工具函数
+function loadPlatforms() {
+  const context = vm.createContext({});
+  const source = fs.readFileSync('platforms.js', 'utf8');
+  vm.runInContext(`${source}\n;({ PLATFORMS, getPlatformHost, getPlatformPagePattern })`, context);
+  return vm.runInContext('({ PLATFORMS, getPlatformHost, getPlatformPagePattern })', context);
+}
+
+// 根据 platforms.js 生成 content_scripts 的匹配规则并写入 manifest.json
+// - 仓库/包页面注入返回提示（back-hint.js）
+// - 其余页面注入搜索提示（search-hint.js），排除各平台站点
+function syncPlatformsToManifest() {
+  const { PLATFORMS, getPlatformHost, getPlatformPagePattern } = loadPlatforms();
+  const configs = Object.values(PLATFORMS);
+
+  const pageMatches = [...new Set(configs.map(getPlatformPagePattern))];
+  const hostExcludes = [...new Set(configs.map(config => `https://${getPlatformHost(config)}/*`))];
+
+  const manifestPath = 'manifest.json';
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  for (const script of manifest.content_scripts) {
+    if (script.js.includes('content/back-hint.js')) {
+      script.matches = pageMatches;
+    } else if (script.js.includes('content/search-hint.js')) {
+      script.exclude_matches = hostExcludes;
+    }
+  }
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`📝 平台匹配规则已同步到 manifest.json: ${configs.length} 个平台`);
+}
+
+// 内容脚本只需平台名称、缩写和颜色，生成仅含这些信息的小文件，不向页面注入完整的 platforms.js
+const PLATFORM_META_PATH = 'content/lib/platform-meta.js';
+
+function buildPlatformMetaSource() {
+  const { PLATFORMS } = loadPlatforms();
+  const meta = Object.fromEntries(Object.entries(PLATFORMS).map(([key, config]) => [key, {
+    abbr: config.abbr,
+    color: config.accent || config.color,
+    name: config.name
+  }]));
+
+  return [
+    '/**',
+    ' * OpenIn - 平台显示信息（名称、缩写、颜色）',
+    ' * 由 scripts/build.js 根据 platforms.js 生成，请勿手动修改',
+    ' */',
+    'globalThis.OpenIn = globalThis.OpenIn || {};',
+    '',
+    `globalThis.OpenIn.PLATFORM_META = ${JSON.stringify(meta, null, 2)};`,
+    ''
+  ].join('\n');
+}
+
+function syncPlatformMeta() {
+  fs.writeFileSync(PLATFORM_META_PATH, buildPlatformMetaSource());
+  console.log(`📝 平台显示信息已生成: ${PLATFORM_META_PATH}`);
+}
+
 // 主函数
 async function build() {
   const version = getVersion();
 
-  // 同步版本号到 manifest.json
+  // 同步版本号和平台匹配规则到 manifest.json，生成内容脚本的平台显示信息
   syncVersionToManifest(version);
+  syncPlatformsToManifest();
+  syncPlatformMeta();
   const distDir = 'dist';
 
   console.log(`\n📦 打包 v${version}\n`);
@@ -96,17 +159,20 @@ async function buildForBrowser(browser, version, distDir) {
 
     fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
 
-    // 合并 platforms.js 到 background.js（Firefox 不支持 importScripts）
+    // 合并 importScripts 导入的脚本到 background.js（Firefox 不支持 importScripts）
     const backgroundPath = path.join(tempDir, 'background.js');
-    const platformsPath = path.join(tempDir, 'platforms.js');
 
     let backgroundContent = fs.readFileSync(backgroundPath, 'utf8');
-    const platformsContent = fs.readFileSync(platformsPath, 'utf8');
 
-    // 移除 importScripts 行，并在前面插入 platforms.js 内容
+    // 移除 importScripts 行，并在原位置按顺序插入各脚本内容
     backgroundContent = backgroundContent.replace(
-      /\/\/ ==================== 导入平台配置 ====================[\s\S]*?importScripts\('platforms\.js'\);/,
-      `// ==================== 平台配置（已内联） ====================\n${platformsContent}`
+      /\/\/ ==================== 导入平台配置 ====================[\s\S]*?importScripts\(([^)]*)\);/,
+      (_, args) => {
+        const inlined = args.split(',')
+          .map(arg => arg.trim().replace(/^['"]|['"]$/g, ''))
+          .map(file => fs.readFileSync(path.join(tempDir, file), 'utf8'));
+        return `// ==================== 平台配置（已内联） ====================\n${inlined.join('\n')}`;
+      }
     );
 
     fs.writeFileSync(backgroundPath, backgroundContent);
@@ -140,4 +206,8 @@ async function buildForBrowser(browser, version, distDir) {
   });
 }
 
-build();
+if (require.main === module) {
+  build();
+}
+
+module.exports = { buildPlatformMetaSource, PLATFORM_META_PATH };
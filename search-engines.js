@@ -0,0 +1,409 @@
+/**
+ * OpenIn - 搜索引擎适配模块
+ *
+ * 按主机名、结果页路径和搜索参数识别搜索引擎，
+ * 并排除“手气不错”和图片、新闻等垂直搜索，避免误跳转。
+ * 搜索词解析出仓库后，先按置信度评分，只有高置信度才自动跳转。
+ * 依赖 platforms.js（isPlatformHost、parseInstallCommand 等）和 history.js。
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 用户自定义搜索引擎与严格模式的存储 key（storage.sync）
+ */
+const SEARCH_ENGINES_STORAGE_KEY = 'customSearchEngines';
+const SEARCH_ENGINE_STRICT_KEY = 'searchEngineStrictMode';
+
+/**
+ * 严格模式默认开启：购物、文档等站点的站内搜索也带 q/query 参数，容易误判
+ */
+const SEARCH_ENGINE_STRICT_DEFAULT = true;
+
+/**
+ * 内置搜索引擎适配器
+ * - hosts: 主机名规则，*.example.com 匹配子域名，google.* 匹配各国家/地区域名
+ * - paths: 搜索结果页路径
+ * - params: 搜索词参数（按顺序尝试）
+ * - isLucky: 是否为“手气不错”或 bang 直达（搜索引擎会自行跳转，不再处理）
+ * - isVertical: 是否为图片、新闻、视频等垂直搜索
+ */
+const SEARCH_ENGINE_ADAPTERS = [
+  {
+    id: 'google',
+    name: 'Google',
+    hosts: ['google.*', 'www.google.*'],
+    paths: ['/search', '/webhp'],
+    params: ['q'],
+    isLucky: url => url.searchParams.has('btnI'),
+    // tbm=isch/nws/vid 等为垂直搜索；udm=14 为纯网页结果，其余 udm 为图片、视频等
+    isVertical: (url) => {
+      const udm = url.searchParams.get('udm');
+      return url.searchParams.has('tbm') || Boolean(udm && udm !== '14');
+    }
+  },
+  {
+    id: 'bing',
+    name: 'Bing',
+    hosts: ['bing.com', 'www.bing.com', 'cn.bing.com'],
+    paths: ['/search'],
+    params: ['q']
+  },
+  {
+    id: 'duckduckgo',
+    name: 'DuckDuckGo',
+    hosts: ['duckduckgo.com', 'html.duckduckgo.com', 'lite.duckduckgo.com'],
+    paths: ['/', '/html', '/lite'],
+    params: ['q'],
+    // !bang 和 \ 开头的查询会直接跳转到目标站点
+    isLucky: url => /^\s*[!\\]/.test(url.searchParams.get('q') || ''),
+    isVertical: url => ['images', 'videos', 'news', 'maps', 'shopping'].includes(url.searchParams.get('ia'))
+  },
+  {
+    id: 'baidu',
+    name: '百度',
+    hosts: ['baidu.com', 'www.baidu.com', 'm.baidu.com'],
+    paths: ['/s'],
+    params: ['wd', 'word']
+  },
+  {
+    id: 'yandex',
+    name: 'Yandex',
+    hosts: ['yandex.*', 'ya.ru'],
+    paths: ['/search'],
+    params: ['text']
+  },
+  {
+    id: 'yahoo',
+    name: 'Yahoo',
+    hosts: ['search.yahoo.com', '*.search.yahoo.com', 'search.yahoo.co.jp'],
+    paths: ['/search'],
+    params: ['p']
+  },
+  {
+    id: 'ecosia',
+    name: 'Ecosia',
+    hosts: ['www.ecosia.org'],
+    paths: ['/search'],
+    params: ['q']
+  },
+  {
+    id: 'brave',
+    name: 'Brave Search',
+    hosts: ['search.brave.com'],
+    paths: ['/search'],
+    params: ['q']
+  },
+  {
+    id: 'startpage',
+    name: 'Startpage',
+    hosts: ['startpage.com', 'www.startpage.com'],
+    paths: ['/sp/search', '/do/search', '/search'],
+    params: ['query', 'q']
+  },
+  {
+    id: 'kagi',
+    name: 'Kagi',
+    hosts: ['kagi.com'],
+    paths: ['/search'],
+    params: ['q']
+  },
+  {
+    id: 'sogou',
+    name: '搜狗',
+    hosts: ['www.sogou.com', 'm.sogou.com'],
+    paths: ['/web', '/web/searchList.jsp'],
+    params: ['query', 'keyword']
+  },
+  {
+    id: 'so360',
+    name: '360 搜索',
+    hosts: ['www.so.com', 'm.so.com'],
+    paths: ['/s'],
+    params: ['q']
+  },
+  {
+    id: 'naver',
+    name: 'Naver',
+    hosts: ['search.naver.com'],
+    paths: ['/search.naver'],
+    params: ['query'],
+    isVertical: url => !['', 'nexearch', 'm'].includes(url.searchParams.get('where') || '')
+  }
+];
+
+/**
+ * 非严格模式下识别出的未列出搜索引擎的统一 id（用于功能矩阵）
+ * 这类页面只显示跳转提示，不自动跳转
+ */
+const GENERIC_SEARCH_ENGINE_ID = 'generic';
+
+/**
+ * 非严格模式下识别未列出搜索引擎时使用的参数
+ * 不含 s（WordPress 站内搜索）、p（分页）等容易误判的参数
+ */
+const GENERIC_SEARCH_PARAMS = ['q', 'query', 'search', 'search_query', 'wd', 'text', 'keywords'];
+
+/**
+ * 非严格模式下，未列出搜索引擎的结果页路径需像搜索页
+ */
+const GENERIC_SEARCH_PATH_PATTERN = /^\/(?:s|web)?$|search/i;
+
+/**
+ * 本地和内网地址，不视为搜索引擎
+ */
+const LOCAL_HOST_PATTERN = /^(?:localhost|127\.0\.0\.1|192\.168\.|10\.|172\.(?:1[6-9]|2\d|3[01])\.)/;
+
+/**
+ * 自定义搜索引擎的参数名格式
+ */
+const SEARCH_PARAM_PATTERN = /^[\w.-]{1,32}$/;
+
+/**
+ * 置信度阈值：不低于 HIGH 自动跳转，不低于 MEDIUM 显示“按 Tab 跳转”提示，其余不处理
+ */
+const SEARCH_CONFIDENCE_HIGH = 70;
+const SEARCH_CONFIDENCE_MEDIUM = 40;
+
+/**
+ * 常见的 a/b 写法中的单词（连词、代词、单位、协议缩写等），出现在 owner 或 repo 中时降低置信度
+ */
+const SEARCH_COMMON_WORDS = new Set([
+  'a', 'an', 'and', 'or', 'nor', 'but', 'either', 'neither', 'not', 'yes', 'no', 'true', 'false',
+  'he', 'she', 'him', 'her', 'his', 'hers', 'they', 'them', 'we', 'us', 'you', 'it', 'i', 'me',
+  'on', 'off', 'in', 'out', 'up', 'down', 'to', 'from', 'with', 'without', 'for', 'against',
+  'input', 'output', 'read', 'write', 'start', 'stop', 'open', 'close', 'before', 'after',
+  'day', 'week', 'month', 'year', 'hour', 'min', 'sec', 's', 'h', 'm', 'km', 'mi', 'kg', 'g',
+  'mb', 'gb', 'kb', 'cup', 'cups', 'tbsp', 'tsp', 'oz', 'lb', 'ml', 'l', 'mph', 'kmh', 'rpm',
+  'tcp', 'udp', 'ip', 'http', 'https', 'ftp', 'ac', 'dc', 'pm', 'am', 'hr', 'ceo', 'cfo',
+  // 常见的对举词：client/server、win/loss、pros/cons
+  'client', 'server', 'frontend', 'backend', 'front', 'back', 'win', 'loss', 'pros', 'cons',
+  'buy', 'sell', 'push', 'pull', 'get', 'set', 'old', 'new', 'left', 'right', 'male', 'female',
+  'black', 'white', 'good', 'bad', 'plus', 'minus', 'light', 'dark', 'this', 'that', 'vs'
+]);
+
+// ==================== 匹配函数 ====================
+
+/**
+ * 判断主机名是否匹配规则
+ * @param {string} pattern - 主机名规则，如 www.bing.com、*.search.yahoo.com、google.*
+ * @param {string} hostname - 主机名
+ * @returns {boolean}
+ */
+function matchHostPattern(pattern, hostname) {
+  const source = pattern.toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/^\*\\\./, '(?:[^.]+\\.)+')
+    .replace(/\\\.\*$/, '\\.[a-z]{2,3}(?:\\.[a-z]{2})?');
+  return new RegExp(`^${source}$`).test(hostname.toLowerCase());
+}
+
+/**
+ * 校验并规范化用户自定义搜索引擎
+ * @param {Object} def - {host, param, path}
+ * @returns {Object|null} 适配器对象或 null
+ */
+function normalizeSearchEngine(def) {
+  if (!def || typeof def !== 'object') return null;
+
+  const host = normalizeHostname(def.host);
+  const param = String(def.param || '').trim();
+  const path = String(def.path || '').trim();
+  if (!host || !SEARCH_PARAM_PATTERN.test(param)) return null;
+  if (path && !/^\/[\w./-]*$/.test(path)) return null;
+
+  return {
+    id: host,
+    name: host,
+    hosts: [host],
+    paths: path ? [path] : [],
+    params: [param],
+    custom: true
+  };
+}
+
+/**
+ * 读取 URL 中的第一个非空搜索参数
+ * @param {URL} urlObj
+ * @param {string[]} params
+ * @returns {string|null}
+ */
+function readSearchParam(urlObj, params) {
+  for (const param of params) {
+    const value = urlObj.searchParams.get(param);
+    if (value && value.trim()) return value;
+  }
+  return null;
+}
+
+/**
+ * 识别搜索引擎结果页
+ * 先匹配已列出的搜索引擎；非严格模式下再按通用搜索参数识别未列出的搜索引擎（engine 为 generic）
+ *
+ * @param {string} url - 页面 URL
+ * @param {Object[]} engines - 搜索引擎适配器（内置 + 自定义）
+ * @param {boolean} [strict] - 严格模式：只识别已列出的搜索引擎
+ * @returns {{engine: string, query: string|null, skip: string|null}|null}
+ *   skip 为 'lucky' 或 'vertical' 时表示是搜索引擎但不应处理
+ */
+function matchSearchEngine(url, engines, strict = SEARCH_ENGINE_STRICT_DEFAULT) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (!/^https?:$/.test(urlObj.protocol)) return null;
+
+  const hostname = urlObj.hostname;
+  const pathname = urlObj.pathname.length > 1 ? urlObj.pathname.replace(/\/+$/, '') : urlObj.pathname;
+
+  const hostEngines = engines.filter(item => item.hosts.some(pattern => matchHostPattern(pattern, hostname)));
+  const engine = hostEngines.find(item => item.paths.length === 0 || item.paths.includes(pathname));
+
+  // 已列出搜索引擎的其他路径（如 Bing 的 /images/search）视为垂直搜索
+  if (!engine && hostEngines.length > 0) {
+    return { engine: hostEngines[0].id, query: null, skip: 'vertical' };
+  }
+
+  if (engine) {
+    let skip = null;
+    if (engine.isLucky && engine.isLucky(urlObj)) {
+      skip = 'lucky';
+    } else if (engine.isVertical && engine.isVertical(urlObj)) {
+      skip = 'vertical';
+    }
+    return { engine: engine.id, query: readSearchParam(urlObj, engine.params), skip };
+  }
+
+  if (strict || isPlatformHost(hostname) || LOCAL_HOST_PATTERN.test(hostname)) return null;
+  if (!GENERIC_SEARCH_PATH_PATTERN.test(pathname)) return null;
+
+  const query = readSearchParam(urlObj, GENERIC_SEARCH_PARAMS);
+  return query ? { engine: GENERIC_SEARCH_ENGINE_ID, query, skip: null } : null;
+}
+
+// ==================== 置信度评分 ====================
+
+/**
+ * 判断搜索词开头或末尾是否带平台关键词（如 "gh vercel/next.js"）
+ * @param {string} query - 搜索词
+ * @returns {boolean}
+ */
+function hasExplicitPlatform(query) {
+  const parts = query.trim().split(/\s+/);
+  return parts.length >= 2 &&
+    Boolean(findPlatformByKeyword(parts[0]) || findPlatformByKeyword(parts[parts.length - 1]));
+}
+
+/**
+ * 评估 owner/repo 片段像普通词语（而非仓库名）的程度，返回扣分
+ * @param {string} token
+ * @returns {number}
+ */
+function scoreRepoToken(token) {
+  if (/^\d+(?:[.,]\d+)?$/.test(token)) return 50;
+  if (SEARCH_COMMON_WORDS.has(token.toLowerCase())) return 30;
+  if (token.length <= 2) return 15;
+  return 0;
+}
+
+/**
+ * 为搜索词解析出的仓库打分，避免 and/or、TCP/IP、1/2 cup、km/h 之类的搜索被劫持
+ * 依据：片段形态、常见词表、是否访问过该仓库、是否显式指定平台
+ *
+ * @param {string} query - 搜索词
+ * @param {Object} parsed - parseSearchQuery 的结果 {platform, owner, repo, path}
+ * @param {Set<string>} visitedKeys - 历史条目的 key（小写，见 getHistoryEntryKey）
+ * @returns {{score: number, level: 'high'|'medium'|'low'}}
+ */
+function scoreSearchMatch(query, parsed, visitedKeys = new Set()) {
+  // 完整链接和安装命令（npm i react、pip install requests）意图明确
+  const trimmed = query.trim();
+  if (/^https?:\/\//i.test(trimmed) || parseInstallCommand(trimmed)) {
+    return { score: 100, level: 'high' };
+  }
+
+  const { owner, repo = '', path = '' } = parsed;
+  const explicit = hasExplicitPlatform(query);
+  const visited = visitedKeys.has(getHistoryEntryKey(parsed).toLowerCase());
+  let score = SEARCH_CONFIDENCE_HIGH;
+
+  if (explicit) score += 30;
+  if (visited) score += 30;
+
+  if (repo) {
+    const ownerPenalty = scoreRepoToken(owner);
+    const repoPenalty = scoreRepoToken(repo);
+    score -= ownerPenalty + repoPenalty;
+
+    // TCP/IP、I/O、A/B 等全大写缩写
+    if (/^[A-Z\d]+$/.test(owner) && /^[A-Z\d]+$/.test(repo)) score -= 20;
+
+    // 两段都是普通小写单词（git/github）时与日常的 a/b 写法难以区分，
+    // 未访问过也未指定平台时只显示提示，不自动跳转
+    if (/^[a-z]+$/.test(owner) && /^[a-z]+$/.test(repo) && !visited && !explicit) score -= 15;
+
+    // 仓库名里常见的 - . _ 以及更深的路径更像仓库
+    if (/[-._]/.test(owner + repo) && ownerPenalty + repoPenalty === 0) score += 10;
+    if (path) score += 10;
+  }
+
+  // 搜索词除仓库外还有其他词语（如 "vercel/next.js tutorial"）
+  const extraWords = query.trim().split(/\s+/).length - (explicit ? 2 : 1);
+  if (extraWords > 0) score -= 20 * extraWords;
+
+  let level = 'low';
+  if (score >= SEARCH_CONFIDENCE_HIGH) {
+    level = 'high';
+  } else if (score >= SEARCH_CONFIDENCE_MEDIUM) {
+    level = 'medium';
+  }
+  return { score, level };
+}
+
+/**
+ * 包名搜索（react、npm react）是否有足够依据显示平台选择
+ * 单个小写单词多半是普通搜索（weather、pizza），因此需要以下依据之一：
+ * 显式带包管理平台关键词、作用域包名（@vue/core）、打开过其中某个候选包。
+ * 平台关键词本身（python、npm）和常见词不处理
+ *
+ * @param {string} query - 搜索词
+ * @param {Object[]} candidates - 候选目标 {platform, owner, repo, path}
+ * @param {Set<string>} visitedKeys - 历史条目的 key（小写，见 getHistoryEntryKey）
+ * @returns {boolean}
+ */
+function hasPackageQueryEvidence(query, candidates, visitedKeys = new Set()) {
+  const parts = query.trim().split(/\s+/);
+  if (candidates.length === 0 || parts.length > 2) return false;
+  if (parts.length === 2) return hasExplicitPlatform(query);
+
+  const [name] = parts;
+  if (name.length < 2 || /[A-Z]/.test(name) || /^[\d.]+$/.test(name)) return false;
+  if (findPlatformByKeyword(name) || SEARCH_COMMON_WORDS.has(name) || !PACKAGE_NAME_PATTERN.test(name)) return false;
+  if (/^@[\w.-]+\/[\w.-]+/.test(name)) return true;
+
+  return candidates.some(target => visitedKeys.has(getHistoryEntryKey(target).toLowerCase()));
+}
+
+// ==================== 存储读写 ====================
+
+/**
+ * 读取搜索引擎配置
+ * @returns {Promise<{engines: Object[], strict: boolean}>}
+ */
+async function getSearchEngineSettings() {
+  const result = await browserAPI.storage.sync.get({
+    [SEARCH_ENGINES_STORAGE_KEY]: [],
+    [SEARCH_ENGINE_STRICT_KEY]: SEARCH_ENGINE_STRICT_DEFAULT
+  });
+
+  const custom = result[SEARCH_ENGINES_STORAGE_KEY]
+    .map(normalizeSearchEngine)
+    .filter(Boolean);
+
+  return {
+    engines: [...custom, ...SEARCH_ENGINE_ADAPTERS],
+    strict: result[SEARCH_ENGINE_STRICT_KEY]
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * OpenIn - 快捷键组合
+ * 页面提示的快捷键可在选项页修改（默认 Alt+J，也可用 Tab、Enter 等），
+ * 内容脚本用于匹配按键，选项页用于录制和校验
+ */
+
+// ==================== 常量 ====================
+
+/**
+ * 页面提示快捷键的存储键（storage.sync）
+ */
+const TOAST_SHORTCUT_STORAGE_KEY = 'toastShortcut';
+
+/**
+ * 默认快捷键（带修饰键，不占用页面的 Tab 焦点切换）
+ */
+const DEFAULT_TOAST_SHORTCUT = 'Alt+J';
+
+/**
+ * 旧版默认快捷键，更新时迁移为 DEFAULT_TOAST_SHORTCUT
+ */
+const LEGACY_TOAST_SHORTCUT = 'Tab';
+
+/**
+ * 修饰键：name 用于显示和存储，aria 为 aria-keyshortcuts 中的写法
+ */
+const SHORTCUT_MODIFIERS = [
+  { name: 'Ctrl', aria: 'Control', prop: 'ctrlKey', aliases: ['ctrl', 'control'] },
+  { name: 'Alt', aria: 'Alt', prop: 'altKey', aliases: ['alt', 'option', 'opt'] },
+  { name: 'Shift', aria: 'Shift', prop: 'shiftKey', aliases: ['shift'] },
+  { name: 'Meta', aria: 'Meta', prop: 'metaKey', aliases: ['meta', 'cmd', 'command', 'win'] }
+];
+
+/**
+ * 可用的具名按键（Esc、方向键等留给提示框自身的键盘导航）
+ */
+const SHORTCUT_NAMED_KEYS = {
+  tab: 'Tab',
+  enter: 'Enter',
+  return: 'Enter',
+  space: ' ',
+  spacebar: ' '
+};
+
+// ==================== 解析函数 ====================
+
+/**
+ * 规范化按键名：具名按键、F1–F12 或单个字符（字母统一小写）
+ * @param {string} name - 按键名
+ * @returns {string|null}
+ */
+function normalizeShortcutKey(name) {
+  if (!name) return null;
+
+  const named = SHORTCUT_NAMED_KEYS[name.toLowerCase()];
+  if (named) return named;
+
+  const fn = name.match(/^f([1-9]|1[0-2])$/i);
+  if (fn) return `F${fn[1]}`;
+
+  return [...name].length === 1 ? name.toLowerCase() : null;
+}
+
+/**
+ * 解析快捷键文本，如 "Tab"、"Alt+J"、"Ctrl+Shift+Enter"
+ * @param {string} text - 快捷键文本
+ * @returns {Object|null} {key, ctrlKey, altKey, shiftKey, metaKey}，无法识别时返回 null
+ */
+function parseShortcut(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const trimmed = text.trim();
+  // 加号本身作为按键：Ctrl++
+  const plusKey = trimmed === '+' || trimmed.endsWith('++');
+  const parts = (plusKey ? trimmed.slice(0, -1) : trimmed)
+    .split('+')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const key = normalizeShortcutKey(plusKey ? '+' : parts.pop());
+  if (!key) return null;
+
+  const shortcut = { key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false };
+  for (const part of parts) {
+    const modifier = SHORTCUT_MODIFIERS.find(item => item.aliases.includes(part.toLowerCase()));
+    if (!modifier || shortcut[modifier.prop]) return null;
+    shortcut[modifier.prop] = true;
+  }
+
+  return shortcut;
+}
+
+/**
+ * 快捷键的显示文本或 aria-keyshortcuts 值
+ * @param {Object} shortcut - parseShortcut 的返回值
+ * @param {boolean} [aria=false] - 是否按 aria-keyshortcuts 的写法输出（Control 而非 Ctrl）
+ * @returns {string}
+ */
+function formatShortcut(shortcut, aria = false) {
+  let key = shortcut.key.length === 1 ? shortcut.key.toUpperCase() : shortcut.key;
+  if (shortcut.key === ' ') {
+    key = 'Space';
+  }
+  return [
+    ...SHORTCUT_MODIFIERS
+      .filter(modifier => shortcut[modifier.prop])
+      .map(modifier => (aria ? modifier.aria : modifier.name)),
+    key
+  ].join('+');
+}
+
+/**
+ * 按键事件是否匹配快捷键（修饰键需完全一致）
+ * @param {KeyboardEvent} event - 按键事件
+ * @param {Object} shortcut - parseShortcut 的返回值
+ * @returns {boolean}
+ */
+function matchShortcut(event, shortcut) {
+  const sameModifiers = SHORTCUT_MODIFIERS.every(modifier => event[modifier.prop] === shortcut[modifier.prop]);
+  if (!sameModifiers || !event.key) return false;
+
+  if (shortcut.key.length !== 1) {
+    return event.key === shortcut.key;
+  }
+  if (event.key.toLowerCase() === shortcut.key) return true;
+
+  // macOS 上 Option 组合会改变字符（Alt+J → ∆），Shift 会改变数字键字符，改用物理键位比较
+  return event.code === getShortcutCode(shortcut.key);
+}
+
+/**
+ * 快捷键是否只在焦点位于提示框内时生效
+ * 不带 Ctrl/Alt/Meta 的 Tab 是页面的焦点切换键，焦点在页面上时不能拦截
+ * @param {Object} shortcut - parseShortcut 的返回值
+ * @returns {boolean}
+ */
+function isFocusScopedShortcut(shortcut) {
+  return shortcut.key === 'Tab' && !shortcut.ctrlKey && !shortcut.altKey && !shortcut.metaKey;
+}
+
+/**
+ * 字母和数字对应的物理键位（KeyboardEvent.code）
+ * @param {string} key - 单个字符
+ * @returns {string|null}
+ */
+function getShortcutCode(key) {
+  if (/^[a-z]$/.test(key)) return `Key${key.toUpperCase()}`;
+  if (/^\d$/.test(key)) return `Digit${key}`;
+  return null;
+}
+
+/**
+ * 将仍为旧版默认值（Tab）的快捷键迁移为新的默认值
+ * @returns {Promise<boolean>} 是否发生迁移
+ */
+async function migrateToastShortcut() {
+  const result = await browserAPI.storage.sync.get(TOAST_SHORTCUT_STORAGE_KEY);
+  if (result[TOAST_SHORTCUT_STORAGE_KEY] !== LEGACY_TOAST_SHORTCUT) return false;
+
+  await browserAPI.storage.sync.set({ [TOAST_SHORTCUT_STORAGE_KEY]: DEFAULT_TOAST_SHORTCUT });
+  return true;
+}
+
+/**
+ * 由按键事件生成快捷键文本（选项页录制用），只按下修饰键时返回 null
+ * @param {KeyboardEvent} event - 按键事件
+ * @returns {string|null}
+ */
+function shortcutFromEvent(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+  const codeMatch = (event.code || '').match(/^(?:Key([A-Z])|Digit(\d))$/);
+  const keyName = event.key === ' ' ? 'Space' : event.key;
+  const key = codeMatch && (event.altKey || event.shiftKey) ? (codeMatch[1] || codeMatch[2]) : keyName;
+
+  const modifiers = SHORTCUT_MODIFIERS
+    .filter(modifier => event[modifier.prop])
+    .map(modifier => modifier.name);
+  const shortcut = parseShortcut([...modifiers, key].join('+'));
+  return shortcut ? formatShortcut(shortcut) : null;
+}
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readGlobal, plain } = require('./load-scripts');
+
+/**
+ * 内存中的 storage.sync，记录每次写入
+ */
+function createStorageArea(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  return {
+    data,
+    async get(defaults) {
+      const result = {};
+      for (const [key, value] of Object.entries(defaults)) {
+        result[key] = key in data ? JSON.parse(JSON.stringify(data[key])) : value;
+      }
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+}
+
+function loadBypassRules(syncData = {}) {
+  const browserAPI = { storage: { sync: createStorageArea(syncData), local: createStorageArea() } };
+  const ctx = loadScripts(['platforms.js', 'bypass-rules.js'], { browserAPI, TextEncoder });
+  return { ctx, sync: browserAPI.storage.sync };
+}
+
+const { ctx } = loadBypassRules();
+
+function parse(text) {
+  return plain(ctx.parseBypassRule(text));
+}
+
+function matches(rule, url) {
+  return ctx.matchBypassRule(rule, new URL(url));
+}
+
+test('parseBypassRule 按格式识别规则类型', () => {
+  assert.deepEqual(parse('LocalHost'), { rule: { type: 'host', value: 'localhost' }, error: null });
+  assert.deepEqual(parse('*.Example.com'), { rule: { type: 'wildcard', value: '*.example.com' }, error: null });
+  assert.deepEqual(parse('/Admin/*'), { rule: { type: 'path', value: '/admin/*' }, error: null });
+  assert.deepEqual(parse('example.com/docs/**'), { rule: { type: 'path', value: 'example.com/docs/**' }, error: null });
+  assert.deepEqual(parse('/^https://intra\\./'), { rule: { type: 'regex', value: '^https://intra\\.' }, error: null });
+  assert.deepEqual(parse('/wiki/i'), { rule: { type: 'regex', value: 'wiki' }, error: null });
+  assert.deepEqual(parse('10.0.0.0/8'), { rule: { type: 'cidr', value: '10.0.0.0/8' }, error: null });
+});
+
+test('parseBypassRule 拒绝无效输入并返回对应的错误', () => {
+  assert.equal(parse('').error, 'enter_pattern_error');
+  assert.equal(parse('   ').error, 'enter_pattern_error');
+  assert.equal(parse('/(unclosed/').error, 'bypass_rule_invalid_regex');
+  assert.equal(parse('10.0.0.0/33').error, 'bypass_rule_invalid_cidr');
+  assert.equal(parse('256.0.0.0/8').error, 'bypass_rule_invalid_cidr');
+  assert.equal(parse('*.exa mple.com').error, 'bypass_rule_invalid_host');
+  assert.equal(parse('https://example.com/docs').error, 'bypass_rule_invalid_path');
+  assert.equal(parse('example.com/my docs').error, 'bypass_rule_invalid_path');
+  assert.equal(parse('bad_host!').error, 'bypass_rule_invalid_host');
+  assert.equal(parse('example.com:8080').error, 'bypass_rule_invalid_host');
+});
+
+test('matchBypassRule 按规则类型匹配', () => {
+  const host = { type: 'host', value: 'example.com' };
+  assert.equal(matches(host, 'https://example.com/a'), true);
+  assert.equal(matches(host, 'https://www.example.com/a'), false);
+
+  const wildcard = { type: 'wildcard', value: '*.example.com' };
+  assert.equal(matches(wildcard, 'https://example.com/'), true);
+  assert.equal(matches(wildcard, 'https://a.b.example.com/'), true);
+  assert.equal(matches(wildcard, 'https://notexample.com/'), false);
+
+  const anyHostPath = { type: 'path', value: '/admin/*' };
+  assert.equal(matches(anyHostPath, 'https://foo.com/admin/users'), true);
+  assert.equal(matches(anyHostPath, 'https://foo.com/admin/users/1'), false);
+
+  const hostPath = { type: 'path', value: 'example.com/docs/**' };
+  assert.equal(matches(hostPath, 'https://example.com/docs/a/b'), true);
+  assert.equal(matches(hostPath, 'https://other.com/docs/a/b'), false);
+
+  const regex = { type: 'regex', value: 'intra\\.' };
+  assert.equal(matches(regex, 'https://INTRA.corp/'), true);
+  assert.equal(matches(regex, 'https://extra.corp/'), false);
+  assert.equal(matches({ type: 'regex', value: '(' }, 'https://intra.corp/'), false);
+});
+
+test('matchBypassRule 的 CIDR 边界：/0 匹配所有 IPv4，/32 只匹配单个地址', () => {
+  const all = { type: 'cidr', value: '0.0.0.0/0' };
+  assert.equal(matches(all, 'http://0.0.0.0/'), true);
+  assert.equal(matches(all, 'http://255.255.255.255/'), true);
+  assert.equal(matches(all, 'http://example.com/'), false);
+
+  const single = { type: 'cidr', value: '192.168.1.10/32' };
+  assert.equal(matches(single, 'http://192.168.1.10:8080/'), true);
+  assert.equal(matches(single, 'http://192.168.1.11/'), false);
+
+  const lan = { type: 'cidr', value: '192.168.0.0/16' };
+  assert.equal(matches(lan, 'http://192.168.255.1/'), true);
+  assert.equal(matches(lan, 'http://192.169.0.1/'), false);
+});
+
+test('migrateLegacyBypassPattern 保留旧版子串规则的匹配范围', () => {
+  const migrate = text => plain(ctx.migrateLegacyBypassPattern(text));
+
+  // 域名迁移为通配，子域名仍然命中
+  const github = migrate('github.com');
+  assert.deepEqual(github, { type: 'wildcard', value: '*.github.com' });
+  assert.equal(matches(github, 'https://gist.github.com/x'), true);
+  assert.equal(matches(github, 'https://github.com/x'), true);
+
+  assert.deepEqual(migrate('localhost'), { type: 'wildcard', value: '*.localhost' });
+  assert.deepEqual(migrate('192.168.1.1'), { type: 'host', value: '192.168.1.1' });
+  assert.deepEqual(migrate('192.168.'), { type: 'cidr', value: '192.168.0.0/16' });
+  assert.deepEqual(migrate('10.'), { type: 'cidr', value: '10.0.0.0/8' });
+  assert.deepEqual(migrate('*.corp.io'), { type: 'wildcard', value: '*.corp.io' });
+
+  // 其余按子串转为正则
+  const path = migrate('example.com/admin');
+  assert.equal(path.type, 'regex');
+  assert.equal(matches(path, 'https://example.com/admin/users'), true);
+  assert.equal(matches(path, 'https://example.com/public'), false);
+
+  assert.equal(migrate(''), null);
+});
+
+test('migrateBypassPatterns 迁移旧 key 并跳过重复规则', async () => {
+  const { ctx: migrated, sync } = loadBypassRules({
+    customBypassPatterns: ['github.com', '*.github.com', '192.168.'],
+    bypassRules: [{ type: 'host', value: 'intranet' }]
+  });
+
+  assert.equal(await migrated.migrateBypassPatterns(), 2);
+  assert.deepEqual(sync.data.bypassRules, [
+    { type: 'host', value: 'intranet' },
+    { type: 'wildcard', value: '*.github.com' },
+    { type: 'cidr', value: '192.168.0.0/16' }
+  ]);
+  assert.equal('customBypassPatterns' in sync.data, false);
+});
+
+test('不再跳转列表保持在 storage.sync 单个 key 的配额以内', async () => {
+  const { ctx: suppressions, sync } = loadBypassRules();
+  const maxBytes = readGlobal(suppressions, 'REDIRECT_SUPPRESSIONS_MAX_BYTES');
+  assert.ok(maxBytes < 8192);
+
+  for (let i = 0; i < 300; i++) {
+    assert.equal(await suppressions.addRedirectSuppression('query', `some fairly long search query number ${i}`), true);
+  }
+
+  const stored = sync.data.redirectSuppressions;
+  const bytes = Buffer.byteLength('redirectSuppressions' + JSON.stringify(stored));
+  assert.ok(bytes <= maxBytes, `${bytes} bytes`);
+  assert.ok(stored.length > 0 && stored.length <= 100);
+  // 保留最近的条目
+  assert.equal(stored[stored.length - 1].value, 'some fairly long search query number 299');
+  assert.equal(suppressions.isRedirectSuppressed(stored, 'query', 'some fairly long search query number 0'), false);
+
+  // 单个条目超出上限时不保存，也不挤掉已有条目
+  assert.equal(await suppressions.addRedirectSuppression('query', 'x'.repeat(maxBytes)), false);
+  assert.deepEqual(sync.data.redirectSuppressions, stored);
+});
+
+test('按类型和值移除不再跳转条目', async () => {
+  const { ctx: suppressions, sync } = loadBypassRules({
+    redirectSuppressions: [
+      { type: 'query', value: 'wiki', timestamp: 1 },
+      { type: 'host', value: 'wiki', timestamp: 2 },
+      { type: 'query', value: 'react hooks', timestamp: 3 }
+    ]
+  });
+
+  await suppressions.removeRedirectSuppression('host', 'WIKI');
+  assert.deepEqual(sync.data.redirectSuppressions.map(item => `${item.type}:${item.value}`), ['query:wiki', 'query:react hooks']);
+
+  await suppressions.removeRedirectSuppression('host', 'missing');
+  assert.equal(sync.data.redirectSuppressions.length, 2);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * 异步的内存存储，get/set 之间让出事件循环，模拟 storage.local 的读写间隙
+ */
+function createStorageArea(initial = {}) {
+  const data = { ...initial };
+  const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+  return {
+    data,
+    async get(defaults) {
+      await tick();
+      const result = {};
+      for (const [key, value] of Object.entries(defaults)) {
+        result[key] = key in data ? JSON.parse(JSON.stringify(data[key])) : value;
+      }
+      return result;
+    },
+    async set(items) {
+      await tick();
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(key) {
+      await tick();
+      delete data[key];
+    }
+  };
+}
+
+function loadHistory(syncData = {}) {
+  const browserAPI = {
+    storage: { local: createStorageArea(), sync: createStorageArea(syncData) }
+  };
+  const ctx = loadScripts(['platforms.js', 'history.js'], { browserAPI, setTimeout });
+  return { ctx, local: browserAPI.storage.local };
+}
+
+test('同时记录多个目标时不丢失条目', async () => {
+  const { ctx, local } = loadHistory();
+
+  await Promise.all(['github', 'gitlab', 'bitbucket', 'gitee'].map(platform => ctx.recordHistory({
+    platform, owner: 'facebook', repo: 'react'
+  })));
+
+  const platforms = local.data.openHistory.map(entry => entry.platform).sort();
+  assert.deepEqual(platforms, ['bitbucket', 'gitee', 'github', 'gitlab']);
+});
+
+test('同一目标并发记录时累加次数', async () => {
+  const { ctx, local } = loadHistory();
+  const target = { platform: 'npm', owner: 'react' };
+
+  await Promise.all([ctx.recordHistory(target), ctx.recordHistory(target), ctx.recordHistory(target)]);
+
+  assert.equal(local.data.openHistory.length, 1);
+  assert.equal(local.data.openHistory[0].count, 3);
+});
+
+test('清空与记录按调用顺序执行，写入失败不阻塞后续写入', async () => {
+  const { ctx, local } = loadHistory({ historyExclusions: ['github:secret/*'] });
+
+  const recorded = ctx.recordHistory({ platform: 'github', owner: 'a', repo: 'b' });
+  const cleared = ctx.clearHistory();
+  await Promise.all([recorded, cleared]);
+  assert.equal(local.data.openHistory, undefined);
+
+  const set = local.set;
+  local.set = async () => { throw new Error('quota'); };
+  await assert.rejects(ctx.recordHistory({ platform: 'github', owner: 'a', repo: 'b' }), /quota/);
+  local.set = set;
+
+  assert.equal(await ctx.recordHistory({ platform: 'github', owner: 'secret', repo: 'x' }), false);
+  assert.equal(await ctx.recordHistory({ platform: 'github', owner: 'c', repo: 'd' }), true);
+  assert.deepEqual(local.data.openHistory.map(entry => entry.owner), ['c']);
+});
@@ -0,0 +1,44 @@
+/**
+ * 测试辅助：按扩展中的加载顺序把全局脚本载入独立的 vm 上下文
+ * 扩展脚本不使用模块系统（Service Worker 通过 importScripts 导入），函数和常量都是全局变量
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @param {string[]} files - 相对仓库根目录的脚本路径
+ * @param {Object} [globals] - 额外注入的全局变量
+ * @returns {Object} vm 上下文，脚本中的全局函数和变量可直接访问
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, URL, URLSearchParams, ...globals });
+  for (const file of files) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * 读取脚本顶层的 const/let（它们不会成为上下文对象的属性）
+ * @param {Object} context - loadScripts 的返回值
+ * @param {string} name - 变量名
+ * @returns {*}
+ */
+function readGlobal(context, name) {
+  return vm.runInContext(name, context);
+}
+
+/**
+ * vm 上下文中创建的对象原型不同，比较前转为普通对象
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, readGlobal, plain };
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const ctx = loadScripts(['platforms.js']);
+
+test('findPlatformByDomain 只匹配平台域名及其子域名', () => {
+  assert.equal(ctx.findPlatformByDomain('github.com'), 'github');
+  assert.equal(ctx.findPlatformByDomain('www.GitHub.com'), 'github');
+  assert.equal(ctx.findPlatformByDomain('www.npmjs.com'), 'npm');
+  assert.equal(ctx.findPlatformByDomain('pkg.go.dev'), 'go');
+  assert.equal(ctx.findPlatformByDomain('pub.dev'), 'pub');
+
+  // 内网短链与相似域名
+  for (const domain of ['go', 'pub', 'hex', 'git', 'notgithub.com', 'github.com.evil.io']) {
+    assert.equal(ctx.findPlatformByDomain(domain), null, domain);
+  }
+});
+
+test('内网短链不会被识别为包管理平台链接', () => {
+  assert.equal(ctx.parseRepoInput('go/team/dashboard').platform, 'github');
+  assert.deepEqual(plain(ctx.extractAllInlineUrls('see go/team/dashboard')), []);
+});
+
+test('内容脚本的平台显示信息与 PLATFORMS 保持同步', () => {
+  const fs = require('fs');
+  const { buildPlatformMetaSource, PLATFORM_META_PATH } = require('../scripts/build.js');
+
+  assert.equal(
+    fs.readFileSync(PLATFORM_META_PATH, 'utf8'),
+    buildPlatformMetaSource(),
+    `${PLATFORM_META_PATH} 已过期，请运行 npm run build 重新生成`
+  );
+});
+
+test('SourceHut 的 ~owner 形式可以直接打开', () => {
+  assert.deepEqual(plain(ctx.resolveLauncherInput('srht ~sircmpwn/hare')), {
+    type: 'url',
+    url: 'https://git.sr.ht/~sircmpwn/hare',
+    platform: 'sourcehut'
+  });
+  assert.equal(ctx.resolveLauncherInput('srht sircmpwn/hare').url, 'https://git.sr.ht/~sircmpwn/hare');
+
+  assert.deepEqual(plain(ctx.parseRepoInput('https://git.sr.ht/~sircmpwn/hare')), {
+    platform: 'sourcehut',
+    owner: 'sircmpwn',
+    repo: 'hare',
+    path: ''
+  });
+  assert.equal(ctx.resolveLauncherInput('git.sr.ht/~sircmpwn/hare/tree').url, 'https://git.sr.ht/~sircmpwn/hare/tree');
+
+  // 其他平台的名称不去掉 ~
+  assert.equal(ctx.resolveLauncherInput('gh ~user/repo').type, 'invalid');
+});
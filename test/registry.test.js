@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./load-scripts');
+
+const ctx = loadScripts(['platforms.js', 'registry.js']);
+
+/**
+ * 内存存储，接口与 storage.local 相同
+ */
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async get(key) {
+      return key in data ? { [key]: data[key] } : {};
+    },
+    async set(items) {
+      Object.assign(data, items);
+    }
+  };
+}
+
+/**
+ * 记录请求地址的 fetchJson 替身
+ */
+function createFetchStub(responses) {
+  const calls = [];
+  const fetchJson = async (url) => {
+    calls.push(url);
+    if (!(url in responses)) throw new Error(`unexpected request: ${url}`);
+    return responses[url];
+  };
+  return { calls, fetchJson };
+}
+
+const REACT_URL = 'https://registry.npmjs.org/react/latest';
+const REACT_META = { repository: { type: 'git', url: 'git+https://github.com/facebook/react.git' } };
+const REACT_TARGET = { platform: 'github', owner: 'facebook', repo: 'react', path: '' };
+
+test('normalizeRepositoryUrl 处理注册表中的各种仓库写法', () => {
+  const cases = {
+    'git+https://github.com/facebook/react.git': 'https://github.com/facebook/react',
+    'git://github.com/expressjs/express.git': 'https://github.com/expressjs/express',
+    'ssh://git@gitlab.com/group/proj.git': 'https://gitlab.com/group/proj',
+    'git@github.com:vuejs/core.git': 'https://github.com/vuejs/core',
+    'github:sindresorhus/got': 'https://github.com/sindresorhus/got',
+    'bitbucket:owner/repo': 'https://bitbucket.org/owner/repo',
+    'https://github.com/babel/babel.git/tree/main/packages/core': 'https://github.com/babel/babel/tree/main/packages/core',
+    'https://github.com/lodash/lodash#readme': 'https://github.com/lodash/lodash',
+    'https://github.com/a/b/': 'https://github.com/a/b'
+  };
+
+  for (const [raw, expected] of Object.entries(cases)) {
+    assert.equal(ctx.normalizeRepositoryUrl(raw), expected, raw);
+  }
+
+  assert.equal(ctx.normalizeRepositoryUrl('not a url'), null);
+  assert.equal(ctx.normalizeRepositoryUrl(''), null);
+  assert.equal(ctx.normalizeRepositoryUrl(undefined), null);
+});
+
+test('pickSourceRepository 跳过无效地址和非代码托管平台', () => {
+  const picked = ctx.pickSourceRepository([
+    undefined,
+    'https://www.npmjs.com/package/react',
+    'git+https://gitlab.com/group/proj.git',
+    'https://github.com/other/repo'
+  ]);
+  assert.deepEqual(plain(picked), { platform: 'gitlab', owner: 'group', repo: 'proj', path: '' });
+
+  assert.equal(ctx.pickSourceRepository(['https://example.com/docs', null]), null);
+});
+
+test('resolve 通过注入的 fetchJson 请求元数据并解析仓库', async () => {
+  const { calls, fetchJson } = createFetchStub({ [REACT_URL]: REACT_META });
+  const resolver = ctx.createSourceResolver({ fetchJson });
+
+  assert.deepEqual(plain(await resolver.resolve('npm', 'react')), REACT_TARGET);
+  assert.deepEqual(calls, [REACT_URL]);
+});
+
+test('resolve 对作用域包名编码，并按 PyPI project_urls 优先级选择', async () => {
+  const { calls, fetchJson } = createFetchStub({
+    'https://registry.npmjs.org/@vue%2Fcore/latest': { repository: 'github:vuejs/core' },
+    'https://pypi.org/pypi/requests/json': {
+      info: {
+        home_page: 'https://requests.readthedocs.io',
+        project_urls: {
+          Documentation: 'https://requests.readthedocs.io',
+          Source: 'https://github.com/psf/requests'
+        }
+      }
+    }
+  });
+  const resolver = ctx.createSourceResolver({ fetchJson });
+
+  assert.equal((await resolver.resolve('npm', '@vue/core')).repo, 'core');
+  assert.equal((await resolver.resolve('pypi', 'requests')).owner, 'psf');
+  assert.equal(calls.length, 2);
+});
+
+test('resolve 命中缓存时不再请求', async () => {
+  const storage = createMemoryStorage();
+  const { calls, fetchJson } = createFetchStub({ [REACT_URL]: REACT_META });
+  const resolver = ctx.createSourceResolver({ fetchJson, storage });
+
+  await resolver.resolve('npm', 'react');
+  assert.deepEqual(plain(await resolver.resolve('npm', 'React')), REACT_TARGET);
+  assert.equal(calls.length, 1);
+  assert.ok(storage.data['source_lookup_npm:react'].timestamp);
+});
+
+test('缓存过期后重新请求，未找到仓库的结果过期更快', async () => {
+  const day = 24 * 60 * 60 * 1000;
+  const storage = createMemoryStorage({
+    // 成功结果缓存 7 天：6 天前的仍有效
+    'source_lookup_npm:react': { target: REACT_TARGET, timestamp: Date.now() - 6 * day },
+    // 8 天前的已过期
+    'source_lookup_npm:vue': { target: REACT_TARGET, timestamp: Date.now() - 8 * day },
+    // 未找到的结果只缓存 1 天
+    'source_lookup_npm:left-pad': { target: null, timestamp: Date.now() - 2 * day }
+  });
+  const { calls, fetchJson } = createFetchStub({
+    'https://registry.npmjs.org/vue/latest': { repository: 'github:vuejs/core' },
+    'https://registry.npmjs.org/left-pad/latest': null
+  });
+  const resolver = ctx.createSourceResolver({ fetchJson, storage });
+
+  assert.deepEqual(plain(await resolver.resolve('npm', 'react')), REACT_TARGET);
+  assert.equal((await resolver.resolve('npm', 'vue')).owner, 'vuejs');
+  assert.equal(await resolver.resolve('npm', 'left-pad'), null);
+  assert.deepEqual(calls, [
+    'https://registry.npmjs.org/vue/latest',
+    'https://registry.npmjs.org/left-pad/latest'
+  ]);
+
+  // 新结果重新写入缓存
+  assert.equal(storage.data['source_lookup_npm:vue'].target.owner, 'vuejs');
+  assert.ok(Date.now() - storage.data['source_lookup_npm:left-pad'].timestamp < day);
+});
+
+test('请求失败时不写入缓存', async () => {
+  const storage = createMemoryStorage();
+  const resolver = ctx.createSourceResolver({
+    fetchJson: async () => { throw new Error('network'); },
+    storage
+  });
+
+  await assert.rejects(resolver.resolve('npm', 'react'), /network/);
+  assert.deepEqual(storage.data, {});
+});
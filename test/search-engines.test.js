@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readGlobal, plain } = require('./load-scripts');
+
+const ctx = loadScripts(['platforms.js', 'history.js', 'search-engines.js']);
+const engines = readGlobal(ctx, 'SEARCH_ENGINE_ADAPTERS');
+const GENERIC_SEARCH_ENGINE_ID = readGlobal(ctx, 'GENERIC_SEARCH_ENGINE_ID');
+
+test('默认只识别已列出的搜索引擎', () => {
+  assert.deepEqual(plain(ctx.matchSearchEngine('https://www.google.com/search?q=vercel/next.js', engines)), {
+    engine: 'google', query: 'vercel/next.js', skip: null
+  });
+
+  for (const url of [
+    'https://shop.com/search?q=a/b',
+    'https://docs.foo.com/search?q=x/y',
+    'https://example.com/?q=vercel/next.js'
+  ]) {
+    assert.equal(ctx.matchSearchEngine(url, engines), null, url);
+  }
+});
+
+test('关闭严格模式后识别为 generic 搜索页', () => {
+  assert.equal(ctx.matchSearchEngine('https://shop.com/search?q=a/b', engines, false).engine, GENERIC_SEARCH_ENGINE_ID);
+});
+
+function score(query, visitedKeys) {
+  return ctx.scoreSearchMatch(query, ctx.parseSearchQuery(query), visitedKeys).level;
+}
+
+test('常见对举词组不跳转也不提示', () => {
+  for (const query of ['client/server', 'frontend/backend', 'win/loss', 'and/or', 'TCP/IP']) {
+    assert.equal(score(query), 'low', query);
+  }
+});
+
+test('未访问过的普通单词组合只提示，不自动跳转', () => {
+  assert.equal(score('git/github'), 'medium');
+  assert.equal(score('facebook/react'), 'medium');
+
+  // 访问过、显式指定平台或带有仓库名常见符号时自动跳转
+  assert.equal(score('facebook/react', new Set(['github:facebook/react'])), 'high');
+  assert.equal(score('gh facebook/react'), 'high');
+  assert.equal(score('vercel/next.js'), 'high');
+  assert.equal(score('rust-lang/rust'), 'high');
+});
+
+function hasEvidence(query, visitedKeys) {
+  return ctx.hasPackageQueryEvidence(query, ctx.detectSelectionTargets(query), visitedKeys);
+}
+
+test('普通单词搜索不显示平台选择', () => {
+  for (const query of ['weather', 'pizza', 'news', 'translate', 'facebook', 'youtube', 'hello', 'python', 'npm', 'react']) {
+    assert.equal(hasEvidence(query), false, query);
+  }
+});
+
+test('有依据的包名搜索显示平台选择', () => {
+  assert.equal(hasEvidence('npm react'), true);
+  assert.equal(hasEvidence('requests pypi'), true);
+  assert.equal(hasEvidence('@vue/core'), true);
+  assert.equal(hasEvidence('react', new Set(['npm:react'])), true);
+
+  // 访问过的是其他平台上的同名仓库时不算
+  assert.equal(hasEvidence('react', new Set(['github:facebook/react'])), false);
+});